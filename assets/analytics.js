@@ -0,0 +1,414 @@
+import { ThemeEvents, themeEvents } from '@theme/events';
+import { cart } from '@theme/cart';
+import { requestIdleCallback } from '@theme/utilities';
+
+/** @typedef {import('./cart').Cart} Cart */
+/** @typedef {import('./cart').CartItem} CartItem */
+
+/**
+ * @typedef {Object} AnalyticsItem
+ * @property {string} item_id - The product ID
+ * @property {string} [item_name] - The product title
+ * @property {string} [item_variant] - The variant title
+ * @property {number} [price] - The unit price, in the currency's main unit
+ * @property {number} [quantity] - The quantity
+ * @property {number} [index] - The position of the item in a list
+ */
+
+/**
+ * @typedef {Object} AnalyticsEvent
+ * @property {string} name - The GA4 event name, e.g. `add_to_cart`
+ * @property {Record<string, any>} params - The event parameters
+ */
+
+/**
+ * @typedef {(event: AnalyticsEvent) => void} AnalyticsSink
+ */
+
+/**
+ * The events sent as GA4 ecommerce events, with their parameters in an `ecommerce` object
+ * @constant {string[]}
+ */
+const ECOMMERCE_EVENTS = ['view_item', 'add_to_cart', 'remove_from_cart', 'view_item_list'];
+
+/**
+ * The time (in milliseconds) during which an identical event is only sent once
+ * @constant {number}
+ */
+const DEDUPE_WINDOW = 2000;
+
+/**
+ * The maximum number of events kept while waiting for consent or a custom sink
+ * @constant {number}
+ */
+const MAX_QUEUED_EVENTS = 50;
+
+/**
+ * The time (in milliseconds) to wait for a re-rendered product list before reading its items
+ * @constant {number}
+ */
+const LIST_RENDER_TIMEOUT = 10 * 1000;
+
+/**
+ * The built-in sinks, selected with the "Send ecommerce events to" theme setting
+ * @type {Record<string, AnalyticsSink>}
+ */
+const SINKS = {
+  data_layer({ name, params }) {
+    const dataLayer = (window.dataLayer ??= []);
+
+    if (ECOMMERCE_EVENTS.includes(name)) {
+      // Clear the previous ecommerce object, as recommended by Google Tag Manager
+      dataLayer.push({ ecommerce: null });
+      dataLayer.push({ event: name, ecommerce: params });
+    } else {
+      dataLayer.push({ event: name, ...params });
+    }
+  },
+  shopify({ name, params }) {
+    Shopify.analytics?.publish(name, params);
+  },
+};
+
+/**
+ * A bridge translating theme events into GA4-style ecommerce events.
+ *
+ * Events are held back until the visitor consents to analytics, and identical events sent in quick succession
+ * (e.g. by several components reacting to the same change) are only sent once.
+ *
+ * Available as `Theme.analytics`, so app scripts can register their own sink.
+ *
+ * @example
+ * Theme.analytics.setSink(({ name, params }) => gtag('event', name, params));
+ */
+class AnalyticsBridge {
+  /**
+   * The sink receiving the events
+   * @type {AnalyticsSink | null}
+   */
+  #sink = SINKS[Theme.settings.analytics_sink] ?? null;
+
+  /**
+   * The events waiting for consent or a sink
+   * @type {AnalyticsEvent[]}
+   */
+  #queue = [];
+
+  /**
+   * Whether the visitor consented to analytics
+   * @type {boolean}
+   */
+  #consented = false;
+
+  /**
+   * The time each recent event was sent, by event signature
+   * @type {Map<string, number>}
+   */
+  #recentEvents = new Map();
+
+  /**
+   * The line items of the last known cart, by key
+   * @type {Map<string, CartItem> | null}
+   */
+  #cartItems = null;
+
+  /**
+   * The discount codes applied to the last known cart
+   * @type {string | undefined}
+   */
+  #coupon;
+
+  constructor() {
+    this.#waitForConsent();
+
+    themeEvents.on(ThemeEvents.variantUpdate, this.#handleVariantUpdate);
+    themeEvents.on(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    themeEvents.on(ThemeEvents.discountUpdate, this.#handleDiscountUpdate);
+    themeEvents.on(ThemeEvents.FilterUpdate, this.#handleFilterUpdate);
+    themeEvents.on(ThemeEvents.predictiveSearch, this.#handlePredictiveSearch);
+    themeEvents.on(ThemeEvents.pageNavigation, () => this.#trackPageView());
+
+    requestIdleCallback(() => {
+      this.#trackPageView();
+
+      // Load the cart to compare the next cart updates with
+      cart
+        .get()
+        .then((currentCart) => {
+          if (!this.#cartItems) this.#setCart(currentCart);
+        })
+        .catch(() => {});
+    });
+  }
+
+  /**
+   * Sets the sink receiving the events, sending the events queued until then
+   * @param {AnalyticsSink} sink - The sink
+   */
+  setSink(sink) {
+    this.#sink = sink;
+    this.#flush();
+  }
+
+  /**
+   * Sends an event, once the visitor consented to analytics
+   * @param {string} name - The GA4 event name
+   * @param {Record<string, any>} params - The event parameters
+   */
+  track(name, params) {
+    const signature = `${name}:${JSON.stringify(params)}`;
+    const now = Date.now();
+
+    for (const [key, time] of this.#recentEvents) {
+      if (now - time > DEDUPE_WINDOW) this.#recentEvents.delete(key);
+    }
+
+    if (this.#recentEvents.has(signature)) return;
+    this.#recentEvents.set(signature, now);
+
+    this.#queue.push({ name, params });
+    if (this.#queue.length > MAX_QUEUED_EVENTS) this.#queue.shift();
+
+    this.#flush();
+  }
+
+  /**
+   * Sends the queued events if the visitor consented and a sink is set
+   */
+  #flush() {
+    const sink = this.#sink;
+    if (!this.#consented || !sink) return;
+
+    for (const event of this.#queue.splice(0)) {
+      try {
+        sink(event);
+      } catch (error) {
+        console.error(error);
+      }
+    }
+  }
+
+  /**
+   * Waits for the visitor to consent to analytics, using the Customer Privacy API
+   */
+  #waitForConsent() {
+    document.addEventListener('visitorConsentCollected', (event) => {
+      const { analyticsAllowed } = /** @type {CustomEvent<{ analyticsAllowed: boolean }>} */ (event).detail;
+      this.#setConsent(analyticsAllowed);
+    });
+
+    if (Shopify.customerPrivacy) {
+      this.#setConsent(Shopify.customerPrivacy.analyticsProcessingAllowed());
+      return;
+    }
+
+    Shopify.loadFeatures([{ name: 'consent-tracking-api', version: '0.1' }], (error) => {
+      if (error || !Shopify.customerPrivacy) return;
+
+      this.#setConsent(Shopify.customerPrivacy.analyticsProcessingAllowed());
+    });
+  }
+
+  /**
+   * @param {boolean} consented - Whether the visitor consented to analytics
+   */
+  #setConsent(consented) {
+    this.#consented = consented;
+
+    if (consented) {
+      this.#flush();
+    } else {
+      this.#queue = [];
+    }
+  }
+
+  /**
+   * Sends the events describing the current page
+   */
+  #trackPageView() {
+    const { name } = Theme.template;
+
+    if (name === 'product') {
+      const variant = readVariant(document.querySelector('variant-picker script[type="application/json"]'));
+      const productId = document.querySelector('variant-picker')?.getAttribute('data-product-id');
+
+      if (variant && productId) this.#trackVariant(variant, productId);
+    } else if (name === 'collection' || name === 'search') {
+      this.#trackList();
+    }
+
+    if (name === 'search') {
+      const searchTerm = new URL(window.location.href).searchParams.get('q');
+      if (searchTerm) this.track('search', { search_term: searchTerm });
+    }
+  }
+
+  /**
+   * @param {Record<string, any>} variant - The variant
+   * @param {string} productId - The product ID
+   */
+  #trackVariant(variant, productId) {
+    const price = toUnits(variant.price);
+
+    this.track('view_item', {
+      currency: Shopify.currency.active,
+      value: price,
+      items: [{ item_id: productId, item_name: variant.name, item_variant: variant.title, price, quantity: 1 }],
+    });
+  }
+
+  /**
+   * Sends a `view_item_list` event for the product grid on the page
+   */
+  #trackList() {
+    const cards = document.querySelectorAll('results-list [data-product-id]:is(li)');
+    if (!cards.length) return;
+
+    this.track('view_item_list', {
+      item_list_id: window.location.pathname,
+      item_list_name: document.title,
+      items: Array.from(cards, (card, index) => ({ item_id: card.getAttribute('data-product-id') ?? '', index })),
+    });
+  }
+
+  /**
+   * Replaces the cart line items used to compute the next changes
+   * @param {Cart} updatedCart - The cart
+   */
+  #setCart(updatedCart) {
+    this.#cartItems = new Map(updatedCart.items.map((item) => [item.key, item]));
+    this.#coupon = updatedCart.discount_codes
+      ?.filter(({ applicable }) => applicable)
+      .map(({ code }) => code)
+      .join(',');
+  }
+
+  /**
+   * @param {import('./events').ThemeEvent} event - The variant update event
+   */
+  #handleVariantUpdate = (event) => {
+    const { resource, data } = event.detail ?? {};
+    // Product cards update their variants too, only the product page is a product view
+    if (!resource || !data?.productId || Theme.template.name !== 'product') return;
+
+    this.#trackVariant(resource, data.productId);
+  };
+
+  /**
+   * Compares the updated cart with the last known one to send `add_to_cart` and `remove_from_cart` events
+   * @param {import('./events').ThemeEvent} event - The cart add or update event
+   */
+  #handleCartUpdate = (event) => {
+    const updatedCart = /** @type {Cart | undefined} */ (event.detail?.resource);
+    if (!Array.isArray(updatedCart?.items)) return;
+
+    const previousItems = this.#cartItems;
+    this.#setCart(updatedCart);
+
+    if (!previousItems) return;
+
+    /** @type {AnalyticsItem[]} */
+    const added = [];
+    /** @type {AnalyticsItem[]} */
+    const removed = [];
+
+    for (const item of updatedCart.items) {
+      const difference = item.quantity - (previousItems.get(item.key)?.quantity ?? 0);
+
+      if (difference > 0) added.push(toAnalyticsItem(item, difference));
+      if (difference < 0) removed.push(toAnalyticsItem(item, -difference));
+    }
+
+    for (const [key, item] of previousItems) {
+      if (!this.#cartItems?.has(key)) removed.push(toAnalyticsItem(item, item.quantity));
+    }
+
+    const currency = updatedCart.currency;
+    if (added.length) this.track('add_to_cart', { currency, value: sum(added), coupon: this.#coupon, items: added });
+    if (removed.length) {
+      this.track('remove_from_cart', { currency, value: sum(removed), coupon: this.#coupon, items: removed });
+    }
+  };
+
+  /**
+   * @param {import('./events').ThemeEvent} event - The discount update event
+   */
+  #handleDiscountUpdate = (event) => {
+    const updatedCart = /** @type {Cart | undefined} */ (event.detail?.resource);
+    if (Array.isArray(updatedCart?.items)) this.#setCart(updatedCart);
+  };
+
+  /**
+   * Sends a `view_item_list` event once the filtered product grid is rendered
+   */
+  #handleFilterUpdate = () => {
+    const resultsList = document.querySelector('results-list');
+    if (!resultsList) return;
+
+    const observer = new MutationObserver(() => {
+      observer.disconnect();
+      clearTimeout(timeout);
+      this.#trackList();
+    });
+    const timeout = setTimeout(() => observer.disconnect(), LIST_RENDER_TIMEOUT);
+
+    observer.observe(resultsList, { childList: true, subtree: true });
+  };
+
+  /**
+   * @param {import('./events').ThemeEvent} event - The predictive search event
+   */
+  #handlePredictiveSearch = (event) => {
+    const searchTerm = event.detail?.searchTerm;
+    if (searchTerm) this.track('search', { search_term: searchTerm });
+  };
+}
+
+/**
+ * Parses the variant JSON rendered by a variant picker
+ * @param {Element | null} script - The script element
+ * @returns {Record<string, any> | null} The variant
+ */
+function readVariant(script) {
+  try {
+    return script?.textContent ? JSON.parse(script.textContent) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {CartItem} item - The cart line item
+ * @param {number} quantity - The quantity added or removed
+ * @returns {AnalyticsItem} The analytics item
+ */
+function toAnalyticsItem(item, quantity) {
+  return {
+    item_id: String(item.product_id),
+    item_name: item.product_title,
+    item_variant: item.variant_title ?? undefined,
+    price: toUnits(item.final_price ?? item.price),
+    quantity,
+  };
+}
+
+/**
+ * Converts an amount in cents to the currency's main unit
+ * @param {number} cents - The amount in cents
+ * @returns {number} The amount
+ */
+function toUnits(cents) {
+  return Math.round(cents) / 100;
+}
+
+/**
+ * @param {AnalyticsItem[]} items - The items
+ * @returns {number} The total value of the items
+ */
+function sum(items) {
+  return toUnits(items.reduce((total, { price = 0, quantity = 1 }) => total + Math.round(price * 100) * quantity, 0));
+}
+
+export const analytics = new AnalyticsBridge();
+
+Theme.analytics = analytics;
@@ -0,0 +1,242 @@
+import { Component } from '@theme/component';
+import { debounce } from '@theme/utilities';
+import { cartPerformance } from '@theme/performance';
+import { cart, CartError } from '@theme/cart';
+import { ThemeErrorEvent } from '@theme/events';
+import { t } from '@theme/translations';
+
+/**
+ * @typedef {HTMLInputElement | HTMLSelectElement} AttributeField
+ */
+
+/**
+ * The weekdays of `Date.prototype.getDay()`, as written in the blackout days
+ * @constant {string[]}
+ */
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * A custom element that saves the cart attribute fields, like a gift message or a delivery date, and stops the
+ * checkout while a required field is missing or a date can't be picked.
+ *
+ * Accelerated checkout buttons skip the cart form, so they can't be stopped.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} error - The error message of the update.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartAttributesComponent extends Component {
+  requiredRefs = ['error'];
+
+  /** @type {AbortController | null} */
+  #activeFetch = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const today = toISODate(new Date());
+
+    // Grays out the past days in the date picker
+    for (const field of this.#fields) {
+      if (field instanceof HTMLInputElement && field.type === 'date') field.min = today;
+    }
+
+    document.addEventListener('submit', this.#handleSubmit, { capture: true });
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener('submit', this.#handleSubmit, { capture: true });
+  }
+
+  /**
+   * The attribute fields
+   * @returns {AttributeField[]}
+   */
+  get #fields() {
+    return Array.from(this.querySelectorAll('[data-cart-attribute]')).filter(
+      /** @returns {field is AttributeField} */
+      (field) => field instanceof HTMLInputElement || field instanceof HTMLSelectElement
+    );
+  }
+
+  /**
+   * Handles updates to the cart attributes.
+   * All the attributes are sent, so an update aborted by the next one isn't lost.
+   * @param {Event} event - The input or change event of a field.
+   */
+  updateAttributes = debounce(async (event) => {
+    const { target } = event;
+    if (!(target instanceof HTMLInputElement || target instanceof HTMLSelectElement)) return;
+
+    // Only show the required error once the checkout was tried
+    if (target.type === 'date' || target.getAttribute('aria-invalid') === 'true') {
+      this.#showError(target, this.#validateField(target));
+    }
+
+    /** @type {Record<string, string>} */
+    const attributes = {};
+
+    for (const field of this.#fields) {
+      const name = field.dataset.cartAttribute;
+      const isUnavailableDate = field.type === 'date' && getFieldValue(field) && this.#validateField(field);
+
+      // An empty value removes the attribute
+      if (name) attributes[name] = isUnavailableDate ? '' : getFieldValue(field);
+    }
+
+    this.#activeFetch?.abort();
+
+    const abortController = new AbortController();
+    this.#activeFetch = abortController;
+    this.#setError('');
+
+    try {
+      await cart.update({ attributes }, { silent: true, signal: abortController.signal });
+    } catch (error) {
+      if (abortController.signal.aborted) return;
+
+      if (error instanceof CartError) {
+        this.#setError(error.message);
+      } else {
+        this.dispatchEvent(new ThemeErrorEvent(error, { action: 'updateAttributes' }));
+      }
+    } finally {
+      if (this.#activeFetch === abortController) this.#activeFetch = null;
+      cartPerformance.measureFromEvent('attributes-update:user-action', event);
+    }
+  }, 200);
+
+  /**
+   * Validates the fields, showing an error next to the invalid ones.
+   * @returns {boolean} Whether all the fields are valid.
+   */
+  validate() {
+    /** @type {AttributeField | null} */
+    let firstInvalidField = null;
+
+    for (const field of this.#fields) {
+      const error = this.#validateField(field);
+
+      this.#showError(field, error);
+      if (error) firstInvalidField ??= field;
+    }
+
+    firstInvalidField?.focus();
+
+    return !firstInvalidField;
+  }
+
+  /**
+   * Stops the checkout of the cart these fields belong to while they're invalid.
+   * @param {SubmitEvent} event - The submit event.
+   */
+  #handleSubmit = (event) => {
+    const form = event.target;
+    if (!(form instanceof HTMLFormElement) || form.id !== 'cart-form') return;
+
+    // The checkout button is rendered next to the fields, in the same cart
+    const cartElement = this.closest('cart-items-component') ?? document.body;
+    if (event.submitter && !cartElement.contains(event.submitter)) return;
+
+    if (this.validate()) return;
+
+    event.preventDefault();
+    event.stopImmediatePropagation();
+  };
+
+  /**
+   * Validates a field.
+   * @param {AttributeField} field - The field.
+   * @returns {string} The error message, empty if the field is valid.
+   */
+  #validateField(field) {
+    const value = getFieldValue(field);
+
+    if (!value) {
+      return field.hasAttribute('data-required')
+        ? t('content.cart_attribute_required', { name: field.dataset.cartAttribute ?? '' })
+        : '';
+    }
+
+    if (field instanceof HTMLInputElement && field.type === 'date' && !isAvailableDate(field, value)) {
+      return t('content.cart_attribute_unavailable_date');
+    }
+
+    return '';
+  }
+
+  /**
+   * Shows the error message of a field, or hides it.
+   * @param {AttributeField} field - The field.
+   * @param {string} message - The error message.
+   */
+  #showError(field, message) {
+    const error = field.closest('.cart-attributes__field')?.querySelector('[data-cart-attribute-error]');
+
+    field.setAttribute('aria-invalid', String(Boolean(message)));
+
+    if (!error) return;
+
+    error.textContent = message;
+    error.classList.toggle('hidden', !message);
+  }
+
+  /**
+   * Shows the error message of the update, or hides it.
+   * @param {string} message - The error message.
+   */
+  #setError(message) {
+    const { error } = this.refs;
+
+    error.textContent = message;
+    error.classList.toggle('hidden', !message);
+  }
+}
+
+/**
+ * Gets the value of a field, empty when a checkbox isn't checked.
+ * @param {AttributeField} field - The field.
+ * @returns {string} The value.
+ */
+function getFieldValue(field) {
+  if (field instanceof HTMLInputElement && field.type === 'checkbox') return field.checked ? field.value : '';
+
+  return field.value.trim();
+}
+
+/**
+ * Whether a date can be picked in a date field: not in the past, and not one of its blackout days.
+ * @param {HTMLInputElement} field - The date field.
+ * @param {string} value - The date, as `YYYY-MM-DD`.
+ * @returns {boolean}
+ */
+function isAvailableDate(field, value) {
+  if (value < toISODate(new Date())) return false;
+
+  const weekday = WEEKDAYS[new Date(`${value}T00:00:00`).getDay()];
+  const blackoutDays = (field.dataset.blackoutDays ?? '')
+    .split(',')
+    .map((day) => day.trim().toLowerCase())
+    .filter(Boolean);
+
+  return !blackoutDays.some((day) => day === value || day.slice(0, 3) === weekday);
+}
+
+/**
+ * Formats a date as `YYYY-MM-DD`, in the visitor's time zone.
+ * @param {Date} date - The date.
+ * @returns {string} The formatted date.
+ */
+function toISODate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+if (!customElements.get('cart-attributes-component')) {
+  customElements.define('cart-attributes-component', CartAttributesComponent);
+}
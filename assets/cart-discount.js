@@ -1,21 +1,23 @@
 import { Component } from '@theme/component';
 import { morphSection } from '@theme/section-renderer';
-import { DiscountUpdateEvent } from '@theme/events';
-import { fetchConfig } from '@theme/utilities';
+import { DiscountUpdateEvent, ThemeErrorEvent } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
+import { cart, CartError } from '@theme/cart';
+import { t } from '@theme/translations';
 
 /**
  * A custom element that applies a discount to the cart.
  *
  * @typedef {Object} CartDiscountComponentRefs
  * @property {HTMLElement} cartDiscountError - The error element.
+ * @property {HTMLElement} cartDiscountErrorText - The error message.
  */
 
 /**
  * @extends {Component<CartDiscountComponentRefs>}
  */
 class CartDiscount extends Component {
-  requiredRefs = ['cartDiscountError'];
+  requiredRefs = ['cartDiscountError', 'cartDiscountErrorText'];
 
   /** @type {AbortController | null} */
   #activeFetch = null;
@@ -53,28 +55,25 @@ class CartDiscount extends Component {
       if (existingDiscounts.includes(discountCodeValue)) return;
 
       existingDiscounts.push(discountCodeValue);
-      const config = fetchConfig('json', {
-        body: JSON.stringify({ discount: existingDiscounts.join(','), sections: [this.dataset.sectionId] }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
-
-      const data = await response.json();
-
-      if (data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
-        return discount.code === discountCodeValue && discount.applicable === false;
-      })) {
+      const { cart: updatedCart, sections } = await cart.update(
+        { discount: existingDiscounts.join(',') },
+        { sections: [this.dataset.sectionId], silent: true, signal: abortController.signal }
+      );
+
+      if (
+        updatedCart.discount_codes?.find((discount) => {
+          return discount.code === discountCodeValue && discount.applicable === false;
+        })
+      ) {
         this.#handleDiscountError();
         return;
       }
 
-      document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
-      morphSection(this.dataset.sectionId, data.sections[this.dataset.sectionId]);
+      document.dispatchEvent(new DiscountUpdateEvent(updatedCart, this.id));
+      const sectionHTML = sections[this.dataset.sectionId];
+      if (sectionHTML) morphSection(this.dataset.sectionId, sectionHTML);
     } catch (error) {
-      // Something went wrong, should we retry?
+      this.#handleUpdateError(error, abortController, 'applyDiscount');
     } finally {
       this.#activeFetch = null;
       cartPerformance.measureFromEvent('discount-update:user-action', event);
@@ -113,21 +112,16 @@ class CartDiscount extends Component {
     const abortController = this.#createAbortController();
 
     try {
-      const config = fetchConfig('json', {
-        body: JSON.stringify({ discount: existingDiscounts.join(','), sections: [this.dataset.sectionId] }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
-
-      const data = await response.json();
-
-      document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
-      morphSection(this.dataset.sectionId, data.sections[this.dataset.sectionId]);
+      const { cart: updatedCart, sections } = await cart.update(
+        { discount: existingDiscounts.join(',') },
+        { sections: [this.dataset.sectionId], silent: true, signal: abortController.signal }
+      );
+
+      document.dispatchEvent(new DiscountUpdateEvent(updatedCart, this.id));
+      const sectionHTML = sections[this.dataset.sectionId];
+      if (sectionHTML) morphSection(this.dataset.sectionId, sectionHTML);
     } catch (error) {
-      // Something went wrong, should we retry?
+      this.#handleUpdateError(error, abortController, 'removeDiscount');
     } finally {
       this.#activeFetch = null;
     }
@@ -135,11 +129,29 @@ class CartDiscount extends Component {
 
   /**
    * Handles the discount error.
+   * @param {string} [message] - The error message, defaults to the discount code not being applicable.
    */
-  #handleDiscountError() {
+  #handleDiscountError(message = t('content.discount_code_error')) {
+    this.refs.cartDiscountErrorText.textContent = message;
     this.refs.cartDiscountError.classList.remove('hidden');
   }
 
+  /**
+   * Handles an error of the cart update, unless it was aborted by the next one.
+   * @param {unknown} error - The error.
+   * @param {AbortController} abortController - The abort controller of the update.
+   * @param {string} action - The action that failed.
+   */
+  #handleUpdateError(error, abortController, action) {
+    if (abortController.signal.aborted) return;
+
+    if (error instanceof CartError) {
+      this.#handleDiscountError(error.message);
+    } else {
+      this.dispatchEvent(new ThemeErrorEvent(error, { action }));
+    }
+  }
+
   /**
    * Returns an array of existing discount codes.
    * @returns {string[]}
@@ -1,101 +1,87 @@
 import { Component } from '@theme/component';
 import { onAnimationEnd } from '@theme/utilities';
-import { ThemeEvents, CartUpdateEvent } from '@theme/events';
+import { cart } from '@theme/cart';
+
+/** @typedef {import('./cart').Cart} Cart */
+
+/**
+ * The count from which the cart bubble only shows a dot, the `limit` of the cart bubble snippet
+ * @constant {number}
+ */
+const COUNT_LIMIT = 100;
 
 /**
  * A custom element that displays a cart icon.
+ * The cart bubble is rendered from the `state` with `data-bind:*` attributes.
  *
  * @typedef {object} Refs
  * @property {HTMLElement} cartBubble - The cart bubble element.
  * @property {HTMLElement} cartBubbleText - The cart bubble text element.
  *
- * @extends {Component<Refs>}
+ * @typedef {object} State
+ * @property {number} itemCount - The number of items in the cart.
+ * @property {string} countLabel - The count shown in the bubble, empty from the count limit.
+ * @property {boolean} isEmpty - Whether the cart is empty.
+ *
+ * @extends {Component<Refs, State>}
  */
 class CartIcon extends Component {
   requiredRefs = ['cartBubble', 'cartBubbleText'];
 
   /** @type {number} */
   get currentCartCount() {
-    return parseInt(this.refs.cartBubbleText.textContent ?? '0', 10);
+    return this.state.itemCount ?? Number(this.dataset.itemCount ?? 0);
   }
 
   set currentCartCount(value) {
-    this.refs.cartBubbleText.textContent = value < 100 ? String(value) : '';
+    Object.assign(this.state, {
+      itemCount: value,
+      countLabel: value < COUNT_LIMIT ? String(value) : '',
+      isEmpty: value === 0,
+    });
   }
 
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
   connectedCallback() {
     super.connectedCallback();
 
-    document.addEventListener(ThemeEvents.cartUpdate, this.onCartUpdate);
-    this.ensureCartBubbleIsCorrect();
+    this.#unsubscribe = cart.subscribe(this.onCartChange);
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
 
-    document.removeEventListener(ThemeEvents.cartUpdate, this.onCartUpdate);
+    this.#unsubscribe?.();
   }
 
   /**
-   * Handles the cart update event.
-   * @param {CartUpdateEvent} event - The cart update event.
+   * Handles changes to the cart state.
+   * @param {Cart} updatedCart - The updated cart.
    */
-  onCartUpdate = async (event) => {
-    const itemCount = event.detail.data?.itemCount ?? 0;
-    const comingFromProductForm = event.detail.data?.source === 'product-form-component';
+  onCartChange = (updatedCart) => {
+    if (updatedCart.item_count === this.currentCartCount) return;
 
-    this.renderCartBubble(itemCount, comingFromProductForm);
+    this.renderCartBubble(updatedCart.item_count);
   };
 
   /**
    * Renders the cart bubble.
    * @param {number} itemCount - The number of items in the cart.
-   * @param {boolean} comingFromProductForm - Whether the cart update is coming from the product form.
+   * @param {boolean} [animate] - Whether to animate the cart bubble.
    */
-  renderCartBubble = async (itemCount, comingFromProductForm, animate = true) => {
-    // If the cart update is coming from the product form, we add to the current cart count, otherwise we set the new cart count
-    this.refs.cartBubble.classList.toggle('visually-hidden', itemCount === 0);
+  renderCartBubble = async (itemCount, animate = true) => {
+    this.currentCartCount = itemCount;
     this.refs.cartBubble.classList.toggle('cart-bubble--animating', itemCount > 0 && animate);
-    this.currentCartCount = comingFromProductForm ? this.currentCartCount + itemCount : itemCount;
 
     this.classList.toggle('header-actions__cart-icon--has-cart', itemCount > 0);
 
-    sessionStorage.setItem(
-      'cart-count',
-      JSON.stringify({
-        value: String(this.currentCartCount),
-        timestamp: Date.now(),
-      })
-    );
-
     if (!animate) return;
     await onAnimationEnd(this.refs.cartBubbleText);
 
     this.refs.cartBubble.classList.remove('cart-bubble--animating');
   };
-
-  /**
-   * Checks if the cart count is correct.
-   */
-  ensureCartBubbleIsCorrect = () => {
-    const sessionStorageCount = sessionStorage.getItem('cart-count');
-    const visibleCount = this.refs.cartBubbleText.textContent;
-    if (sessionStorageCount === visibleCount || sessionStorageCount === null) return;
-
-    try {
-      const { value, timestamp } = JSON.parse(sessionStorageCount);
-
-      if (Date.now() - timestamp < 10000) {
-        const count = parseInt(value, 10);
-
-        if (count >= 0) {
-          this.renderCartBubble(count, false, false);
-        }
-      }
-    } catch (_) {
-      // no-op
-    }
-  };
 }
 
 if (!customElements.get('cart-icon')) {
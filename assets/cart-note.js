@@ -1,11 +1,20 @@
 import { Component } from '@theme/component';
-import { debounce, fetchConfig } from '@theme/utilities';
+import { debounce } from '@theme/utilities';
 import { cartPerformance } from '@theme/performance';
+import { cart, CartError } from '@theme/cart';
+import { ThemeErrorEvent } from '@theme/events';
 
 /**
  * A custom element that displays a cart note.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} error - The error message.
+ *
+ * @extends {Component<Refs>}
  */
 class CartNote extends Component {
+  requiredRefs = ['error'];
+
   /** @type {AbortController | null} */
   #activeFetch = null;
 
@@ -23,23 +32,34 @@ class CartNote extends Component {
 
     const abortController = new AbortController();
     this.#activeFetch = abortController;
+    this.#setError('');
 
     try {
-      const config = fetchConfig('json', {
-        body: JSON.stringify({ note }),
-      });
-
-      await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
+      await cart.update({ note }, { silent: true, signal: abortController.signal });
     } catch (error) {
-      // Something went wrong, should we retry?
+      if (abortController.signal.aborted) return;
+
+      if (error instanceof CartError) {
+        this.#setError(error.message);
+      } else {
+        this.dispatchEvent(new ThemeErrorEvent(error, { action: 'updateCartNote' }));
+      }
     } finally {
       this.#activeFetch = null;
       cartPerformance.measureFromEvent('note-update:user-action', event);
     }
   }, 200);
+
+  /**
+   * Shows an error message, or hides it.
+   * @param {string} message - The error message.
+   */
+  #setError(message) {
+    const { error } = this.refs;
+
+    error.textContent = message;
+    error.classList.toggle('hidden', !message);
+  }
 }
 
 if (!customElements.get('cart-note')) {
@@ -0,0 +1,209 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import * as money from '@theme/money';
+import { t } from '@theme/translations';
+import { prefersReducedMotion } from '@theme/utilities';
+
+/** @typedef {import('./cart').Cart} Cart */
+
+/**
+ * @typedef {Object} RewardTier
+ * @property {number} threshold - The cart subtotal unlocking the reward, in cents of the cart currency
+ * @property {string} reward - The translation key of the reward, e.g. `content.cart_reward_free_shipping`
+ */
+
+/**
+ * @typedef {Object} RewardScope
+ * @property {string} market - The handle of the market of the visitor
+ * @property {string} currency - The ISO code of the cart currency
+ * @property {number} rate - The exchange rate from the store currency to the cart currency
+ */
+
+/**
+ * A reward tier line of the setting: an optional market or currency, the threshold, and the reward
+ * @constant {RegExp}
+ */
+const TIER_PATTERN = /^(?:([\w-]+)\s*:)?\s*([\d.,'\s]+?)\s*\|\s*(.+)$/;
+
+/**
+ * The translation keys of the rewards a tier can unlock, by reward name
+ * @type {Record<string, string>}
+ */
+const REWARDS = {
+  free_gift: 'content.cart_reward_free_gift',
+  free_shipping: 'content.cart_reward_free_shipping',
+};
+
+/**
+ * A custom element that shows how far the cart is from the reward tiers set in the theme settings, like free
+ * shipping or a gift with purchase, and announces the tiers unlocked by cart updates.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} message - The progress message.
+ * @property {HTMLElement} progressBar - The progress bar.
+ * @property {HTMLElement} liveRegion - The live region announcing unlocked tiers.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartProgressMeter extends Component {
+  requiredRefs = ['message', 'progressBar', 'liveRegion'];
+
+  /**
+   * The thresholds of the unlocked tiers
+   * @type {Set<number>}
+   */
+  #unlockedThresholds = new Set();
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    document.addEventListener(ThemeEvents.discountUpdate, this.#handleCartUpdate);
+
+    const { subtotal, currency = Shopify.currency.active } = this.dataset;
+    this.#render(Number(subtotal) || 0, currency, { announce: false });
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    document.removeEventListener(ThemeEvents.discountUpdate, this.#handleCartUpdate);
+  }
+
+  /**
+   * @param {Event} event - The cart update or discount update event
+   */
+  #handleCartUpdate = (event) => {
+    const cart = /** @type {Partial<Cart> | undefined} */ (/** @type {CustomEvent} */ (event).detail?.resource);
+    if (typeof cart?.items_subtotal_price !== 'number') return;
+
+    this.#render(cart.items_subtotal_price, cart.currency ?? Shopify.currency.active, { announce: true });
+  };
+
+  /**
+   * Renders the progress of a cart subtotal towards the reward tiers
+   * @param {number} subtotal - The cart subtotal, in cents
+   * @param {string} currency - The ISO code of the cart currency
+   * @param {{ announce: boolean }} options - Whether to announce the newly unlocked tiers
+   */
+  #render(subtotal, currency, { announce }) {
+    const { message, progressBar, liveRegion } = this.refs;
+    const tiers = parseRewardTiers(this.dataset.rewards ?? '', {
+      market: this.dataset.market ?? '',
+      currency,
+      rate: Number(Shopify.currency.rate) || 1,
+    });
+
+    this.hidden = tiers.length === 0;
+
+    const lastTier = tiers[tiers.length - 1];
+    if (!lastTier) return;
+
+    const nextTier = tiers.find((tier) => tier.threshold > subtotal);
+    const progress = Math.min(subtotal / lastTier.threshold, 1);
+    const percentage = Math.round(progress * 100);
+
+    message.textContent = nextTier
+      ? t('content.cart_reward_remaining', {
+          amount: money.format(nextTier.threshold - subtotal, { currency }),
+          reward: t(nextTier.reward),
+        })
+      : t('content.cart_reward_unlocked', { reward: t(lastTier.reward) });
+
+    this.style.setProperty('--cart-progress', String(progress));
+    progressBar.setAttribute('aria-valuenow', String(percentage));
+    progressBar.setAttribute('aria-valuetext', message.textContent);
+    this.#renderMarkers(tiers, lastTier.threshold, subtotal);
+
+    const unlockedTiers = tiers.filter((tier) => tier.threshold <= subtotal);
+    const newlyUnlockedTiers = unlockedTiers.filter((tier) => !this.#unlockedThresholds.has(tier.threshold));
+
+    this.#unlockedThresholds = new Set(unlockedTiers.map((tier) => tier.threshold));
+
+    const newlyUnlockedTier = newlyUnlockedTiers[newlyUnlockedTiers.length - 1];
+    if (!announce || !newlyUnlockedTier) return;
+
+    liveRegion.textContent = t('content.cart_reward_unlocked', { reward: t(newlyUnlockedTier.reward) });
+    this.#celebrate();
+  }
+
+  /**
+   * Renders a marker per tier along the progress bar
+   * @param {RewardTier[]} tiers - The reward tiers
+   * @param {number} maxThreshold - The threshold of the last tier
+   * @param {number} subtotal - The cart subtotal
+   */
+  #renderMarkers(tiers, maxThreshold, subtotal) {
+    const markers = tiers.map(({ threshold }) => {
+      const marker = document.createElement('span');
+
+      marker.className = 'cart-progress-meter__marker';
+      marker.classList.toggle('cart-progress-meter__marker--unlocked', threshold <= subtotal);
+      marker.style.setProperty('--marker-position', String(threshold / maxThreshold));
+
+      return marker;
+    });
+
+    this.refs.progressBar.replaceChildren(...markers);
+  }
+
+  /**
+   * Plays the unlock animation
+   */
+  #celebrate() {
+    if (prefersReducedMotion()) return;
+
+    this.classList.remove('cart-progress-meter--unlocked');
+    // Restart the animation if it's still playing
+    void this.offsetWidth;
+    this.classList.add('cart-progress-meter--unlocked');
+    this.addEventListener('animationend', () => this.classList.remove('cart-progress-meter--unlocked'), {
+      once: true,
+    });
+  }
+}
+
+/**
+ * Parses the reward tiers of the theme settings, for the market and currency of the visitor.
+ *
+ * Each line is a tier, as `[market or currency:] threshold | reward`, the reward being one of `REWARDS` so it's
+ * translated. The tiers of the visitor's market, or else of the cart currency, replace the default tiers. Their
+ * thresholds are in the cart currency, while the thresholds of the default tiers are in the store currency and get
+ * converted, rounded up to the cent.
+ *
+ * @example
+ * parseRewardTiers('50 | free shipping\nCAD: 75 | free shipping', { market: 'ca', currency: 'CAD', rate: 1.4 });
+ * // [{ threshold: 7500, reward: 'content.cart_reward_free_shipping' }]
+ *
+ * @param {string} setting - The reward tiers setting
+ * @param {RewardScope} scope - The market and currency of the visitor
+ * @returns {RewardTier[]} The reward tiers, sorted by threshold
+ */
+function parseRewardTiers(setting, { market, currency, rate }) {
+  /** @type {Record<'market' | 'currency' | 'default', RewardTier[]>} */
+  const tiersByScope = { market: [], currency: [], default: [] };
+
+  for (const line of setting.split('\n')) {
+    const [, tierScope, amount = '', rewardName = ''] = line.trim().match(TIER_PATTERN) ?? [];
+    const threshold = money.parse(amount, 'en');
+    const reward = REWARDS[rewardName.toLowerCase().replace(/[\s-]+/g, '_')];
+    if (Number.isNaN(threshold) || threshold <= 0 || !reward) continue;
+
+    if (!tierScope) {
+      tiersByScope.default.push({ threshold: Math.ceil(threshold * rate), reward });
+    } else if (tierScope.toLowerCase() === market.toLowerCase()) {
+      tiersByScope.market.push({ threshold, reward });
+    } else if (tierScope.toLowerCase() === currency.toLowerCase()) {
+      tiersByScope.currency.push({ threshold, reward });
+    }
+  }
+
+  const tiers = [tiersByScope.market, tiersByScope.currency, tiersByScope.default].find((scoped) => scoped.length);
+
+  return (tiers ?? []).sort((a, b) => a.threshold - b.threshold);
+}
+
+if (!customElements.get('cart-progress-meter')) {
+  customElements.define('cart-progress-meter', CartProgressMeter);
+}
@@ -0,0 +1,234 @@
+import { Component } from '@theme/component';
+import { ThemeErrorEvent, ThemeEvents } from '@theme/events';
+import { cart, CartError, getCartSectionIds } from '@theme/cart';
+import { SectionRenderError, sectionRenderer } from '@theme/section-renderer';
+import { cartPerformance } from '@theme/performance';
+
+/** @typedef {import('./cart').Cart} Cart */
+
+/**
+ * The section rendering the recommendations of a product
+ * @constant {string}
+ */
+const RECOMMENDATIONS_SECTION_ID = 'cart-recommendations';
+
+/**
+ * How many cart products the recommendations are requested for, most recently added first
+ * @constant {number}
+ */
+const MAX_SOURCE_PRODUCTS = 3;
+
+/**
+ * How many recommendations are requested per product, the maximum of the complementary intent
+ * @constant {number}
+ */
+const RECOMMENDATIONS_LIMIT = 10;
+
+/**
+ * A custom element that displays the products complementary to the items in the cart, leaving out the products
+ * already in the cart.
+ *
+ * The recommendations are loaded once the element is visible, and again after the cart changes. Products without
+ * options are added in one tap, the others open the quick add dialog.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} content - The heading and list, hidden when there are no recommendations.
+ * @property {HTMLElement} list - The list of recommended products.
+ * @property {HTMLElement} error - The error message.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartRecommendationsComponent extends Component {
+  requiredRefs = ['content', 'list', 'error'];
+
+  /**
+   * The IDs of the products in the cart, most recently added first
+   * @type {string[]}
+   */
+  #productIds = [];
+
+  /**
+   * Whether the recommendations need to be loaded for the current cart
+   * @type {boolean}
+   */
+  #stale = true;
+
+  /**
+   * Whether the element is visible
+   * @type {boolean}
+   */
+  #visible = false;
+
+  /**
+   * An abort controller for the active load (if there is one)
+   * @type {AbortController | null}
+   */
+  #activeLoad = null;
+
+  /**
+   * The observer loading the recommendations once the element is visible
+   * @type {IntersectionObserver}
+   */
+  #intersectionObserver = new IntersectionObserver((entries) => {
+    this.#visible = entries.some((entry) => entry.isIntersecting);
+
+    if (this.#visible && this.#stale) this.#loadRecommendations();
+  });
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#productIds = (this.dataset.productIds ?? '').split(',').filter(Boolean);
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    this.#intersectionObserver.observe(this);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    this.#intersectionObserver.disconnect();
+    this.#activeLoad?.abort();
+  }
+
+  /**
+   * Adds a recommended product to the cart.
+   * @param {number} variantId - The ID of the variant to add.
+   * @param {Event} event - The click event.
+   */
+  async addProduct(variantId, event) {
+    const button = event.target instanceof HTMLButtonElement ? event.target : null;
+    const cartPerformaceUpdateMarker = cartPerformance.createStartingMarker('add-recommendation:user-action');
+
+    this.#setError('');
+    if (button) button.disabled = true;
+
+    try {
+      await cart.add(
+        { items: [{ id: variantId, quantity: 1 }] },
+        {
+          sections: getCartSectionIds(),
+          target: this,
+          sourceId: this.id,
+          data: { source: 'cart-recommendations-component', variantId: String(variantId) },
+        }
+      );
+    } catch (error) {
+      if (error instanceof CartError) {
+        this.#setError(error.message);
+      } else {
+        this.dispatchEvent(new ThemeErrorEvent(error, { action: 'addProduct' }));
+      }
+    } finally {
+      if (button) button.disabled = false;
+      cartPerformance.measureFromMarker(cartPerformaceUpdateMarker);
+    }
+  }
+
+  /**
+   * @param {Event} event - The cart update event
+   */
+  #handleCartUpdate = (event) => {
+    const resource = /** @type {Partial<Cart> | undefined} */ (/** @type {CustomEvent} */ (event).detail?.resource);
+    if (!Array.isArray(resource?.items)) return;
+
+    const productIds = [...new Set(resource.items.map((item) => String(item.product_id)))];
+    if (productIds.join() === this.#productIds.join()) return;
+
+    this.#productIds = productIds;
+    this.#stale = true;
+
+    if (this.#visible) this.#loadRecommendations();
+  };
+
+  async #loadRecommendations() {
+    this.#stale = false;
+    this.#activeLoad?.abort();
+
+    const abortController = new AbortController();
+    this.#activeLoad = abortController;
+
+    const productIds = this.#productIds;
+
+    try {
+      const results = await Promise.all(
+        productIds.slice(0, MAX_SOURCE_PRODUCTS).map((productId) => this.#fetchRecommendations(productId))
+      );
+
+      if (abortController.signal.aborted) return;
+
+      this.#render(results, productIds);
+    } catch (error) {
+      if (abortController.signal.aborted) return;
+
+      // The section isn't available in the Theme Editor's visual preview
+      if (!(error instanceof SectionRenderError && Shopify.designMode)) {
+        this.dispatchEvent(new ThemeErrorEvent(error, { action: 'loadRecommendations' }));
+      }
+
+      this.refs.content.hidden = true;
+    } finally {
+      if (this.#activeLoad === abortController) this.#activeLoad = null;
+    }
+  }
+
+  /**
+   * Fetches the complementary products of a product, cached by the section renderer for future use
+   * @param {string} productId - The product ID
+   * @returns {Promise<string>} The rendered recommendations
+   */
+  #fetchRecommendations(productId) {
+    const url = new URL(this.dataset.url ?? '', location.origin);
+    url.searchParams.set('product_id', productId);
+    url.searchParams.set('intent', 'complementary');
+    url.searchParams.set('limit', String(RECOMMENDATIONS_LIMIT));
+
+    return sectionRenderer.getSectionHTML(RECOMMENDATIONS_SECTION_ID, true, url);
+  }
+
+  /**
+   * Renders the recommended products, leaving out duplicates and the products in the cart
+   * @param {string[]} results - The rendered recommendations of each cart product
+   * @param {string[]} cartProductIds - The IDs of the products in the cart
+   */
+  #render(results, cartProductIds) {
+    const maxProducts = Number(this.dataset.maxProducts) || 4;
+    const excludedIds = new Set(cartProductIds);
+
+    /** @type {HTMLElement[]} */
+    const items = [];
+
+    for (const result of results) {
+      const html = new DOMParser().parseFromString(result, 'text/html');
+
+      for (const item of html.querySelectorAll('li[data-product-id]')) {
+        if (!(item instanceof HTMLElement) || !item.dataset.productId) continue;
+        if (excludedIds.has(item.dataset.productId) || items.length >= maxProducts) continue;
+
+        excludedIds.add(item.dataset.productId);
+        items.push(item);
+      }
+    }
+
+    const { content, list } = this.refs;
+
+    list.replaceChildren(...items.map((item) => document.importNode(item, true)));
+    content.hidden = items.length === 0;
+  }
+
+  /**
+   * Shows an error message, or hides it.
+   * @param {string} message - The error message.
+   */
+  #setError(message) {
+    const { error } = this.refs;
+
+    error.textContent = message;
+    error.classList.toggle('hidden', !message);
+  }
+}
+
+if (!customElements.get('cart-recommendations-component')) {
+  customElements.define('cart-recommendations-component', CartRecommendationsComponent);
+}
@@ -0,0 +1,130 @@
+import { Component } from '@theme/component';
+
+/**
+ * How long (in milliseconds) the undo action stays available
+ * @constant {number}
+ */
+const UNDO_TIMEOUT = 6000;
+
+/**
+ * A custom element that shows a toast with an undo action after a line item is removed from the cart, and announces
+ * cart changes to screen reader users.
+ *
+ * The toast stays open while it's hovered or focused, so the undo action can be reached with a keyboard.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} liveRegion - The live region announcing the changes.
+ * @property {HTMLElement} toast - The toast.
+ * @property {HTMLElement} message - The message of the toast.
+ *
+ * @extends {Component<Refs>}
+ */
+export class CartUndoToast extends Component {
+  requiredRefs = ['liveRegion', 'toast', 'message'];
+
+  /**
+   * The undo action of the toast
+   * @type {(() => void) | null}
+   */
+  #undoAction = null;
+
+  /**
+   * @type {ReturnType<typeof setTimeout> | undefined}
+   */
+  #timeout;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.addEventListener('pointerenter', this.#pause);
+    this.addEventListener('focusin', this.#pause);
+    this.addEventListener('pointerleave', this.#resume);
+    this.addEventListener('focusout', this.#resume);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    clearTimeout(this.#timeout);
+  }
+
+  /**
+   * Shows the toast, replacing the undo action of the previous one
+   * @param {string} message - The message
+   * @param {() => void} undoAction - Called when the undo button is clicked
+   */
+  show(message, undoAction) {
+    const { toast, message: messageElement } = this.refs;
+
+    this.#undoAction = undoAction;
+    messageElement.textContent = message;
+    toast.hidden = false;
+
+    this.announce(message);
+    this.#resume();
+  }
+
+  /**
+   * Hides the toast
+   * @param {() => void} [undoAction] - Only hide the toast if it still offers this undo action
+   */
+  hide(undoAction) {
+    if (undoAction && undoAction !== this.#undoAction) return;
+
+    clearTimeout(this.#timeout);
+    this.#undoAction = null;
+    this.refs.toast.hidden = true;
+  }
+
+  /**
+   * Runs the undo action and hides the toast
+   */
+  undo() {
+    const undoAction = this.#undoAction;
+
+    this.hide();
+    undoAction?.();
+  }
+
+  /**
+   * Announces a message to screen reader users
+   * @param {string} message - The message
+   */
+  announce(message) {
+    const { liveRegion } = this.refs;
+
+    // Clear the live region first, so repeated messages are announced again
+    liveRegion.textContent = '';
+    setTimeout(() => (liveRegion.textContent = message), 100);
+  }
+
+  #pause = () => {
+    clearTimeout(this.#timeout);
+  };
+
+  /**
+   * @param {Event} [event] - The pointerleave or focusout event
+   */
+  #resume = (event) => {
+    if (!this.#undoAction || this.#isActive(event)) return;
+
+    clearTimeout(this.#timeout);
+    this.#timeout = setTimeout(() => this.hide(), UNDO_TIMEOUT);
+  };
+
+  /**
+   * Whether the toast is still hovered or focused
+   * @param {Event} [event] - The pointerleave or focusout event
+   * @returns {boolean}
+   */
+  #isActive(event) {
+    const focusedElement = event instanceof FocusEvent ? event.relatedTarget : document.activeElement;
+    const hasFocus = focusedElement instanceof Node && this.contains(focusedElement);
+
+    return hasFocus || (event?.type !== 'pointerleave' && this.matches(':hover'));
+  }
+}
+
+if (!customElements.get('cart-undo-toast')) {
+  customElements.define('cart-undo-toast', CartUndoToast);
+}
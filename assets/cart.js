@@ -0,0 +1,738 @@
+import { fetchConfig } from '@theme/utilities';
+import { CartAddEvent, CartErrorEvent, CartUpdateEvent, ThemeErrorEvent } from '@theme/events';
+
+/**
+ * @typedef {Object} CartItem
+ * @property {number} id - The variant ID of the line item
+ * @property {string} key - The unique key of the line item
+ * @property {number} quantity - The quantity of the line item
+ * @property {number} variant_id - The variant ID of the line item
+ * @property {number} product_id - The product ID of the line item
+ * @property {string} title - The title of the line item
+ * @property {string} product_title - The title of the product
+ * @property {string | null} variant_title - The title of the variant
+ * @property {string | null} sku - The SKU of the variant
+ * @property {string} url - The URL of the line item
+ * @property {number} price - The price of the line item in cents
+ * @property {number} final_price - The price of the line item after discounts in cents
+ * @property {number} final_line_price - The final line price in cents
+ * @property {Record<string, string> | null} properties - The line item properties
+ * @property {{ selling_plan: { id: number } } | null} [selling_plan_allocation] - The selling plan allocation
+ */
+
+/**
+ * @typedef {Object} Cart
+ * @property {string} token - The cart token
+ * @property {string | null} note - The cart note
+ * @property {Record<string, string>} attributes - The cart attributes
+ * @property {string} currency - The ISO code of the cart currency
+ * @property {number} item_count - The number of items in the cart
+ * @property {number} total_price - The total price in cents
+ * @property {number} items_subtotal_price - The subtotal of the line items in cents
+ * @property {CartItem[]} items - The line items
+ * @property {{ code: string, applicable: boolean }[]} [discount_codes] - The discount codes applied to the cart
+ */
+
+/**
+ * @typedef {Object} CartRequestOptions
+ * @property {string[]} [sections] - The section IDs to render as part of the request
+ * @property {EventTarget} [target] - The element dispatching the cart events, defaults to `document`
+ * @property {string} [sourceId] - The id of the element the action was triggered from
+ * @property {Record<string, any>} [data] - Additional data merged into the dispatched event
+ * @property {boolean} [silent] - Update the cart state without dispatching a cart event
+ * @property {AbortSignal} [signal] - A signal to abort the request
+ */
+
+/**
+ * @typedef {Object} CartResult
+ * @property {Cart} cart - The updated cart
+ * @property {Record<string, string>} sections - The rendered sections, by section ID
+ */
+
+/**
+ * @typedef {(cart: Cart) => void} CartListener
+ */
+
+/**
+ * @typedef {Object} CartMutation
+ * @property {string} url - The Cart API endpoint
+ * @property {FormData | Record<string, any>} body - The request body
+ * @property {CartRequestOptions} options - The request options
+ * @property {string} [key] - The key of the line item targeted by a change
+ * @property {(mutation: CartMutation) => Promise<CartResult>} execute - Sends the mutation
+ * @property {Promise<CartResult>} promise - Resolves when the mutation has been sent
+ * @property {(result: CartResult) => void} resolve - Resolves the mutation promise
+ * @property {(error: unknown) => void} reject - Rejects the mutation promise
+ */
+
+/**
+ * Error thrown when the Cart API rejects a request.
+ */
+export class CartError extends Error {
+  /**
+   * @param {string} message - A message from the server response
+   * @param {Record<string, any>} [data] - The raw server response
+   * @param {number} [status] - The HTTP status of the response
+   */
+  constructor(message, data, status = 0) {
+    super(message);
+    this.name = 'CartError';
+    this.data = data;
+    this.status = status;
+  }
+}
+
+/**
+ * A client-side store that owns the current cart.
+ *
+ * Mutations are queued and sent one at a time, so overlapping writes from different components can't race.
+ * Every cart mutation goes through the store, so components can subscribe to the cart state instead of
+ * reconstructing it from rendered sections. The `CartAddEvent`, `CartUpdateEvent` and `CartErrorEvent`
+ * dispatched by the store always carry the full cart object.
+ *
+ * @example
+ * import { cart } from '@theme/cart';
+ * const unsubscribe = cart.subscribe((cart) => console.log(cart.item_count));
+ * await cart.change({ line: 1, quantity: 2 }, { sections: ['main-cart'] });
+ */
+class CartStore {
+  /**
+   * The current cart, null until it has been fetched or mutated
+   * @type {Cart | null}
+   */
+  #cart = null;
+
+  /**
+   * The cart state listeners
+   * @type {Set<CartListener>}
+   */
+  #listeners = new Set();
+
+  /**
+   * The pending cart fetch
+   * @type {Promise<Cart> | null}
+   */
+  #pendingFetch = null;
+
+  /**
+   * The number of times the state changed, to tell if it changed while a fetch was pending
+   * @type {number}
+   */
+  #stateVersion = 0;
+
+  /**
+   * The mutations waiting to be sent
+   * @type {CartMutation[]}
+   */
+  #queue = [];
+
+  /**
+   * Whether the queue is currently being processed
+   * @type {boolean}
+   */
+  #processing = false;
+
+  constructor() {
+    window.addEventListener('pageshow', (event) => {
+      // The page was restored from the back/forward cache, the cart may have changed on another page
+      if (event.persisted) this.refresh();
+    });
+  }
+
+  /**
+   * The current cart, or null if it hasn't been loaded yet
+   * @returns {Cart | null}
+   */
+  get state() {
+    return this.#cart;
+  }
+
+  /**
+   * Subscribes to cart state changes
+   * @param {CartListener} listener - Called with the new cart every time it changes
+   * @returns {() => void} A function that removes the listener
+   */
+  subscribe(listener) {
+    this.#listeners.add(listener);
+
+    return () => this.#listeners.delete(listener);
+  }
+
+  /**
+   * Gets the current cart, fetching it if it hasn't been loaded yet
+   * @returns {Promise<Cart>} The cart
+   */
+  async get() {
+    return this.#cart ?? this.refresh();
+  }
+
+  /**
+   * Fetches the cart from the server and updates the state, sharing the pending fetch if there is one
+   * @returns {Promise<Cart>} The cart
+   */
+  refresh() {
+    return this.#pendingFetch ?? this.#fetchCart();
+  }
+
+  /**
+   * Fetches the cart from the server and updates the state, even if a fetch is pending: after a mutation, a fetch
+   * started before it would return the cart without the mutation
+   * @returns {Promise<Cart>} The cart
+   */
+  #fetchCart() {
+    const stateVersion = this.#stateVersion;
+
+    /** @type {Promise<Cart>} */
+    const request = fetch(`${Theme.routes.cart_url}.js`, { headers: { Accept: 'application/json' } })
+      .then(parseResponse)
+      .then((data) => {
+        // A newer fetch started in the meantime, its cart is the current one
+        if (this.#pendingFetch && this.#pendingFetch !== request) return this.#pendingFetch;
+        // A mutation updated the state in the meantime, this cart may not include it
+        if (this.#cart && this.#stateVersion !== stateVersion) return this.#cart;
+
+        this.#setState(/** @type {Cart} */ (data));
+        return /** @type {Cart} */ (data);
+      })
+      .finally(() => {
+        if (this.#pendingFetch === request) this.#pendingFetch = null;
+      });
+
+    this.#pendingFetch = request;
+
+    return request;
+  }
+
+  /**
+   * Adds items to the cart
+   * @param {FormData | { items: Record<string, any>[] }} body - The product form data or the items to add
+   * @param {CartRequestOptions} [options] - The request options
+   * @returns {Promise<CartResult>} The updated cart and rendered sections
+   */
+  add(body, options = {}) {
+    return this.#enqueue({ url: `${Theme.routes.cart_add_url}.js`, body, options, execute: this.#executeAdd });
+  }
+
+  /**
+   * Changes a single line item
+   *
+   * The line is tracked by its key, so the change still targets the right line item if earlier mutations in
+   * the queue add or remove lines before it is sent.
+   *
+   * @param {{ line?: number, id?: string | number, quantity: number, properties?: Record<string, string>, selling_plan?: number | null }} body - The line and its new values
+   * @param {CartRequestOptions} [options] - The request options
+   * @returns {Promise<CartResult>} The updated cart and rendered sections
+   */
+  change(body, options = {}) {
+    const key =
+      typeof body.id === 'string' && body.id.includes(':')
+        ? body.id
+        : body.line
+          ? this.#cart?.items[body.line - 1]?.key
+          : undefined;
+
+    return this.#enqueue({ url: Theme.routes.cart_change_url, body, options, key, execute: this.#executeChange });
+  }
+
+  /**
+   * Replaces a line item with another variant, keeping the rest of the queue from running in between
+   *
+   * The Cart API can't change the variant of a line, so the new item is added before the line is removed: when
+   * the item can't be added the cart is left as it was, and when the line can't be removed the item is removed
+   * again. A single `CartUpdateEvent` is dispatched once the line has been replaced, and the changes queued for the
+   * replaced line then target the new line.
+   *
+   * The Cart API adds items at the top of the cart and can't move lines, so the lines above the replaced line are
+   * removed with it and added again on top of the new line, which keeps its position.
+   *
+   * @param {string} key - The key of the line item to replace
+   * @param {{ id: number, quantity: number, properties?: Record<string, string>, selling_plan?: number | null }} item - The new item
+   * @param {CartRequestOptions} [options] - The request options
+   * @returns {Promise<CartResult>} The updated cart and rendered sections
+   */
+  replaceLine(key, item, options = {}) {
+    return this.#enqueue({
+      url: `${Theme.routes.cart_add_url}.js`,
+      body: item,
+      options,
+      key,
+      execute: this.#executeReplaceLine,
+    });
+  }
+
+  /**
+   * Updates quantities, the note, attributes or discounts of the cart
+   * @param {{ updates?: Record<string, number> | number[], note?: string, attributes?: Record<string, string>, discount?: string }} body - The values to update
+   * @param {CartRequestOptions} [options] - The request options
+   * @returns {Promise<CartResult>} The updated cart and rendered sections
+   */
+  update(body, options = {}) {
+    return this.#enqueue({ url: Theme.routes.cart_update_url, body, options, execute: this.#executeMutation });
+  }
+
+  /**
+   * Removes every line item from the cart
+   * @param {CartRequestOptions} [options] - The request options
+   * @returns {Promise<CartResult>} The updated cart and rendered sections
+   */
+  clear(options = {}) {
+    return this.#enqueue({ url: Theme.routes.cart_clear_url, body: {}, options, execute: this.#executeMutation });
+  }
+
+  /**
+   * Adds a mutation to the queue, coalescing it with a pending quantity change of the same line item
+   * @param {Omit<CartMutation, 'promise' | 'resolve' | 'reject'>} mutation - The mutation
+   * @returns {Promise<CartResult>} Resolves when the mutation has been sent
+   */
+  #enqueue(mutation) {
+    const pending = this.#queue.find((queued) => isQuantityChange(queued) && queued.key === mutation.key);
+
+    if (pending && isQuantityChange(mutation)) {
+      const sections = new Set([...(pending.options.sections ?? []), ...(mutation.options.sections ?? [])]);
+
+      pending.body = { ...pending.body, quantity: /** @type {Record<string, any>} */ (mutation.body).quantity };
+      pending.options = { ...mutation.options, sections: Array.from(sections) };
+
+      return pending.promise;
+    }
+
+    /** @type {CartMutation} */
+    const queued = /** @type {any} */ ({ ...mutation });
+    queued.promise = new Promise((resolve, reject) => {
+      queued.resolve = resolve;
+      queued.reject = reject;
+    });
+
+    this.#queue.push(queued);
+    this.#processQueue();
+
+    return queued.promise;
+  }
+
+  /**
+   * Sends the queued mutations one at a time
+   */
+  async #processQueue() {
+    if (this.#processing) return;
+    this.#processing = true;
+
+    let mutation;
+    while ((mutation = this.#queue.shift())) {
+      try {
+        mutation.options.signal?.throwIfAborted();
+        mutation.resolve(await mutation.execute(mutation));
+      } catch (error) {
+        mutation.reject(error);
+      }
+    }
+
+    this.#processing = false;
+  }
+
+  /**
+   * Sends an add mutation and dispatches the resulting events
+   * @param {CartMutation} mutation - The mutation
+   * @returns {Promise<CartResult>} The updated cart and rendered sections
+   */
+  #executeAdd = async ({ url, body, options }) => {
+    try {
+      const { sections } = await this.#post(url, body, options);
+      // The add endpoint only returns the added items
+      const cart = await this.#fetchCart();
+
+      this.#dispatch(new CartAddEvent(cart, options.sourceId, this.#eventData(cart, sections, options)), options);
+
+      return { cart, sections };
+    } catch (error) {
+      if (error instanceof CartError) {
+        // The server may still have added the maximum allowed quantity, so the cart needs to be refreshed
+        const cart = await this.#fetchCart().catch(() => this.#cart);
+
+        this.#dispatch(new CartErrorEvent(options.sourceId ?? '', error.message), options);
+        this.#dispatch(
+          new CartAddEvent(cart ?? {}, options.sourceId, { ...this.#eventData(cart, {}, options), didError: true }),
+          options
+        );
+      }
+
+      throw error;
+    }
+  };
+
+  /**
+   * Re-bases the line number of a change on the latest cart before sending it
+   * @param {CartMutation} mutation - The mutation
+   * @returns {Promise<CartResult>} The updated cart and rendered sections
+   */
+  #executeChange = (mutation) => {
+    const { key } = mutation;
+    const body = /** @type {Record<string, any>} */ (mutation.body);
+    const index = key ? (this.#cart?.items.findIndex((item) => item.key === key) ?? -1) : -1;
+
+    if (key && index === -1) {
+      // The line isn't in the known cart, let the server resolve the key
+      const { line, ...rest } = body;
+      return this.#executeMutation({ ...mutation, body: { ...rest, id: key } });
+    }
+
+    if (key) {
+      const { id, ...rest } = body;
+      return this.#executeMutation({ ...mutation, body: { ...rest, line: index + 1 } });
+    }
+
+    return this.#executeMutation(mutation);
+  };
+
+  /**
+   * Adds the new item of a line replacement, then removes the replaced line
+   * @param {CartMutation} mutation - The mutation
+   * @returns {Promise<CartResult>} The updated cart and rendered sections
+   */
+  #executeReplaceLine = async (mutation) => {
+    const { url, options } = mutation;
+    const key = /** @type {string} */ (mutation.key);
+    const item = /** @type {Record<string, any>} */ (mutation.body);
+    const currentCart = await this.get();
+    const line = currentCart.items.find((cartItem) => cartItem.key === key);
+    const sellingPlanId = line?.selling_plan_allocation?.selling_plan.id ?? null;
+
+    // The same variant would be merged into the line, so only its quantity changes
+    if (line && line.variant_id === Number(item.id) && sellingPlanId === (item.selling_plan ?? null)) {
+      return this.#executeMutation({
+        ...mutation,
+        url: Theme.routes.cart_change_url,
+        body: { id: key, quantity: item.quantity },
+      });
+    }
+
+    /** @type {CartItem | undefined} */
+    let addedItem;
+
+    try {
+      const { items } = await this.#post(url, { items: [item] }, { signal: options.signal });
+      addedItem = items?.[0];
+    } catch (error) {
+      if (error instanceof CartError) {
+        // The server may still have added the maximum allowed quantity, so the cart needs to be refreshed
+        const cart = await this.#fetchCart().catch(() => this.#cart);
+
+        this.#dispatch(new CartErrorEvent(options.sourceId ?? '', error.message), options);
+        this.#dispatch(
+          new CartUpdateEvent(cart ?? {}, options.sourceId ?? '', {
+            ...this.#eventData(cart, {}, options),
+            didError: true,
+          }),
+          options
+        );
+      }
+
+      throw error;
+    }
+
+    const isNewLine = !!addedItem && !currentCart.items.some((cartItem) => cartItem.key === addedItem?.key);
+    const newKey = isNewLine && addedItem ? addedItem.key : null;
+    const index = currentCart.items.findIndex((cartItem) => cartItem.key === key);
+    // A merged item is already in the position of the line it was merged into
+    const linesAbove = isNewLine && index > 0 ? currentCart.items.slice(0, index) : [];
+
+    try {
+      if (!linesAbove.length) {
+        const result = await this.#executeMutation({
+          ...mutation,
+          url: Theme.routes.cart_change_url,
+          body: { id: key, quantity: 0 },
+        });
+
+        this.#rebaseQueue(key, newKey, result);
+
+        return result;
+      }
+
+      const updates = Object.fromEntries([key, ...linesAbove.map((lineAbove) => lineAbove.key)].map((k) => [k, 0]));
+
+      await this.#post(Theme.routes.cart_update_url, { updates }, { signal: options.signal });
+    } catch (error) {
+      if (addedItem) {
+        // Put the cart back as it was, the added item may have been merged into another line
+        const previousLine = currentCart.items.find((cartItem) => cartItem.key === addedItem?.key);
+        const rollback = { id: addedItem.key, quantity: previousLine?.quantity ?? 0 };
+
+        await this.#post(Theme.routes.cart_change_url, rollback, {}).catch(() => {});
+      }
+
+      await this.#fetchCart().catch(() => {});
+
+      throw error;
+    }
+
+    const error = await this.#addLinesOnTop(linesAbove);
+    // An empty update responds with the cart and the sections, once every line is back
+    const result = await this.#executeMutation({
+      ...mutation,
+      url: Theme.routes.cart_update_url,
+      body: { updates: {} },
+    });
+
+    if (error instanceof CartError) {
+      this.#dispatch(new CartErrorEvent(options.sourceId ?? '', error.message), options);
+    } else if (error) {
+      document.dispatchEvent(new ThemeErrorEvent(error, { component: 'cart', action: 'replaceLine' }));
+    }
+
+    this.#rebaseQueue(key, newKey, result);
+
+    return result;
+  };
+
+  /**
+   * Adds line items again one at a time, from the bottom one, so they're back at the top of the cart in their order
+   * @param {CartItem[]} lines - The line items, in cart order
+   * @returns {Promise<unknown>} The error of the first line item that couldn't be added, if any
+   */
+  async #addLinesOnTop(lines) {
+    /** @type {unknown} */
+    let firstError = null;
+
+    for (const line of [...lines].reverse()) {
+      try {
+        await this.#post(`${Theme.routes.cart_add_url}.js`, { items: [toItem(line)] }, {});
+      } catch (error) {
+        // Keep adding the other lines, so a single unavailable item doesn't drop all of them
+        firstError ??= error;
+      }
+    }
+
+    return firstError;
+  }
+
+  /**
+   * Points the queued mutations of a replaced line item to the line replacing it. When the new item was merged into
+   * another line they're dropped instead, as they weren't meant for the quantity of that line.
+   * @param {string} key - The key of the replaced line item
+   * @param {string | null} newKey - The key of the new line item, or null if it was merged into another line
+   * @param {CartResult} result - The result of the replacement, resolving the dropped mutations
+   */
+  #rebaseQueue(key, newKey, result) {
+    for (const queued of [...this.#queue]) {
+      if (queued.key !== key) continue;
+
+      if (newKey) {
+        queued.key = newKey;
+      } else {
+        this.#queue.splice(this.#queue.indexOf(queued), 1);
+        queued.resolve(result);
+      }
+    }
+  }
+
+  /**
+   * Sends a mutation that responds with the full cart, and dispatches the resulting events
+   * @param {CartMutation} mutation - The mutation
+   * @returns {Promise<CartResult>} The updated cart and rendered sections
+   */
+  #executeMutation = async ({ url, body, options }) => {
+    try {
+      const { sections, ...cart } = await this.#post(url, body, options);
+
+      this.#setState(/** @type {Cart} */ (cart));
+      this.#dispatch(
+        new CartUpdateEvent(
+          cart,
+          options.sourceId ?? '',
+          this.#eventData(/** @type {Cart} */ (cart), sections, options)
+        ),
+        options
+      );
+
+      return { cart: /** @type {Cart} */ (cart), sections };
+    } catch (error) {
+      if (error instanceof CartError) {
+        this.#dispatch(new CartErrorEvent(options.sourceId ?? '', error.message), options);
+      }
+
+      throw error;
+    }
+  };
+
+  /**
+   * Sends a request to the Cart API, retrying transient failures with an exponential backoff
+   * @param {string} url - The Cart API endpoint
+   * @param {FormData | Record<string, any>} body - The request body
+   * @param {CartRequestOptions} options - The request options
+   * @returns {Promise<{ sections: Record<string, string>, [key: string]: any }>} The parsed response
+   */
+  async #post(url, body, { sections, signal }) {
+    let config;
+
+    if (body instanceof FormData) {
+      if (sections?.length) body.set('sections', sections.join(','));
+
+      config = fetchConfig('javascript', { body, headers: { Accept: 'application/json' } });
+    } else {
+      config = fetchConfig('json', { body: JSON.stringify(sections?.length ? { ...body, sections } : body) });
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await fetch(url, { ...config, signal });
+        const { sections: renderedSections, ...data } = await parseResponse(response);
+
+        return { ...data, sections: renderedSections ?? {} };
+      } catch (error) {
+        if (attempt >= MAX_RETRIES || !isTransientError(error, url)) throw error;
+
+        await wait(RETRY_DELAY * 2 ** attempt, signal);
+      }
+    }
+  }
+
+  /**
+   * Builds the data of a cart event
+   * @param {Cart | null} cart - The updated cart
+   * @param {Record<string, string>} sections - The rendered sections
+   * @param {CartRequestOptions} options - The request options
+   * @returns {Record<string, any>} The event data
+   */
+  #eventData(cart, sections, options) {
+    return {
+      itemCount: cart?.item_count ?? 0,
+      sections,
+      ...options.data,
+    };
+  }
+
+  /**
+   * Dispatches a cart event unless the request is silent
+   * @param {Event} event - The event to dispatch
+   * @param {CartRequestOptions} options - The request options
+   */
+  #dispatch(event, { target = document, silent = false }) {
+    if (silent && !(event instanceof CartErrorEvent)) return;
+
+    target.dispatchEvent(event);
+  }
+
+  /**
+   * Updates the cart state and notifies the listeners
+   * @param {Cart} cart - The new cart
+   */
+  #setState(cart) {
+    this.#cart = cart;
+    this.#stateVersion++;
+
+    for (const listener of this.#listeners) {
+      try {
+        listener(cart);
+      } catch (error) {
+        document.dispatchEvent(new ThemeErrorEvent(error, { component: 'cart', action: 'subscribe' }));
+      }
+    }
+  }
+}
+
+/**
+ * The maximum number of times a transient failure is retried
+ * @constant {number}
+ */
+const MAX_RETRIES = 3;
+
+/**
+ * The delay (in milliseconds) before the first retry, doubled on every attempt
+ * @constant {number}
+ */
+const RETRY_DELAY = 500;
+
+/**
+ * Parses a Cart API response, throwing a `CartError` when the request was rejected
+ * @param {Response} response - The response
+ * @returns {Promise<Record<string, any>>} The parsed response body
+ */
+async function parseResponse(response) {
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok || data.status || data.errors) {
+    const errors = data.errors && typeof data.errors === 'object' ? Object.values(data.errors).flat() : data.errors;
+    const message = Array.isArray(errors) ? errors.join(', ') : errors;
+
+    throw new CartError(message || data.description || data.message || response.statusText, data, response.status);
+  }
+
+  return data;
+}
+
+/**
+ * Gets the item to add to the cart to recreate a line item, with its properties and selling plan
+ * @param {CartItem} line - The line item
+ * @returns {Record<string, any>} The item
+ */
+function toItem(line) {
+  const sellingPlanId = line.selling_plan_allocation?.selling_plan.id;
+
+  return {
+    id: line.variant_id,
+    quantity: line.quantity,
+    properties: line.properties ?? {},
+    ...(sellingPlanId ? { selling_plan: sellingPlanId } : {}),
+  };
+}
+
+/**
+ * Checks if a mutation only changes the quantity of a known line item, so it can be coalesced
+ * @param {Pick<CartMutation, 'url' | 'body' | 'key'>} mutation - The mutation
+ * @returns {boolean} Whether the mutation is a quantity change
+ */
+function isQuantityChange({ url, body, key }) {
+  if (url !== Theme.routes.cart_change_url || !key || body instanceof FormData) return false;
+
+  return Object.keys(body).every((name) => ['line', 'id', 'quantity'].includes(name));
+}
+
+/**
+ * Checks if an error is worth retrying: a network failure, rate limiting or a server error.
+ * A network failure or a server error may happen after an add was applied, so an add is only retried when rate limited.
+ * @param {unknown} error - The error
+ * @param {string} url - The Cart API endpoint
+ * @returns {boolean} Whether the request should be retried
+ */
+function isTransientError(error, url) {
+  if (error instanceof CartError && error.status === 429) return true;
+  if (url === `${Theme.routes.cart_add_url}.js`) return false;
+  if (error instanceof CartError) return error.status >= 500;
+
+  // `fetch` rejects with a TypeError on network failures
+  return error instanceof TypeError;
+}
+
+/**
+ * Waits for a delay, rejecting early if the signal is aborted
+ * @param {number} delay - The delay in milliseconds
+ * @param {AbortSignal} [signal] - The abort signal
+ * @returns {Promise<void>}
+ */
+function wait(delay, signal) {
+  return new Promise((resolve, reject) => {
+    const handleAbort = () => {
+      clearTimeout(timeout);
+      reject(signal?.reason);
+    };
+
+    const timeout = setTimeout(() => {
+      signal?.removeEventListener('abort', handleAbort);
+      resolve();
+    }, delay);
+
+    signal?.addEventListener('abort', handleAbort, { once: true });
+  });
+}
+
+/**
+ * Gets the IDs of the sections rendering cart items on the page, to render them with a cart request.
+ * @returns {string[]} The section IDs.
+ */
+export function getCartSectionIds() {
+  return Array.from(document.querySelectorAll('cart-items-component'), (element) =>
+    element instanceof HTMLElement ? element.dataset.sectionId : undefined
+  ).filter((sectionId) => sectionId !== undefined);
+}
+
+export const cart = new CartStore();
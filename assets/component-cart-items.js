@@ -1,16 +1,35 @@
 import { Component } from '@theme/component';
-import { fetchConfig, debounce, onAnimationEnd, prefersReducedMotion, resetShimmer } from '@theme/utilities';
-import { morphSection, sectionRenderer } from '@theme/section-renderer';
+import { debounce, onAnimationEnd, prefersReducedMotion, resetShimmer } from '@theme/utilities';
+import { morphSection, SectionRenderError, sectionRenderer } from '@theme/section-renderer';
 import {
   ThemeEvents,
   CartUpdateEvent,
   QuantitySelectorUpdateEvent,
   CartAddEvent,
   DiscountUpdateEvent,
+  ThemeErrorEvent,
 } from '@theme/events';
+import { cart, CartError, getCartSectionIds } from '@theme/cart';
 import { cartPerformance } from '@theme/performance';
+import * as money from '@theme/money';
+import { t } from '@theme/translations';
+import { savedItems } from '@theme/saved-items';
 
 /** @typedef {import('./utilities').TextComponent} TextComponent */
+/** @typedef {import('./cart-undo-toast').CartUndoToast} CartUndoToast */
+
+/**
+ * A line item as rendered in its row, with what's needed to add it back to the cart.
+ *
+ * @typedef {object} LineItemSnapshot
+ * @property {number} variantId - The variant ID.
+ * @property {number} quantity - The quantity.
+ * @property {Record<string, string>} properties - The line item properties.
+ * @property {number} [sellingPlanId] - The selling plan ID.
+ * @property {string} title - The title of the line item.
+ * @property {string} url - The URL of the line item.
+ * @property {string} [image] - The URL of the line item image.
+ */
 
 /**
  * A custom element that displays a cart items component.
@@ -19,12 +38,19 @@ import { cartPerformance } from '@theme/performance';
  * @property {HTMLElement[]} quantitySelectors - The quantity selector elements.
  * @property {HTMLTableRowElement[]} cartItemRows - The cart item rows.
  * @property {TextComponent} cartTotal - The cart total.
+ * @property {CartUndoToast} [undoToast] - The toast offering to undo removals.
  *
  * @extends {Component<Refs>}
  */
 class CartItemsComponent extends Component {
   #debouncedOnChange = debounce(this.#onQuantityChange, 300).bind(this);
 
+  /**
+   * An abort controller for the active render of the cart sections (if there is one)
+   * @type {AbortController | null}
+   */
+  #activeRender = null;
+
   connectedCallback() {
     super.connectedCallback();
 
@@ -38,6 +64,7 @@ class CartItemsComponent extends Component {
 
     document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
     document.removeEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
+    this.#activeRender?.abort();
   }
 
   /**
@@ -53,12 +80,14 @@ class CartItemsComponent extends Component {
       return this.onLineItemRemove(line);
     }
 
+    const lineItemRow = this.#getLineItemRow(line);
+
     this.updateQuantity({
       line,
+      key: lineItemRow?.dataset.cartLineKey,
       quantity,
       action: 'change',
     });
-    const lineItemRow = this.refs.cartItemRows[line - 1];
 
     if (!lineItemRow) return;
 
@@ -71,94 +100,123 @@ class CartItemsComponent extends Component {
    * @param {number} line - The line item index.
    */
   onLineItemRemove(line) {
-    this.updateQuantity({
+    const cartItemRowToRemove = this.#getLineItemRow(line);
+
+    const removal = this.updateQuantity({
       line,
+      key: cartItemRowToRemove?.dataset.cartLineKey,
       quantity: 0,
       action: 'clear',
     });
 
-    const cartItemRowToRemove = this.refs.cartItemRows[line - 1];
-
     if (!cartItemRowToRemove) return;
 
-    const remove = () => cartItemRowToRemove.remove();
+    this.#offerUndo(getLineItemSnapshot(cartItemRowToRemove), removal);
+    this.#removeRow(cartItemRowToRemove);
+  }
+
+  /**
+   * Handles saving a line item for later: the line item is removed from the cart and added to the saved items.
+   * @param {number} line - The line item index.
+   */
+  onLineItemSave(line) {
+    const cartItemRowToSave = this.#getLineItemRow(line);
+    if (!cartItemRowToSave) return;
+
+    const item = getLineItemSnapshot(cartItemRowToSave);
+
+    this.updateQuantity({
+      line,
+      key: cartItemRowToSave.dataset.cartLineKey,
+      quantity: 0,
+      action: 'save',
+    }).then((removed) => {
+      if (!removed) return;
+
+      savedItems.add(item);
+      this.refs.undoToast?.announce(t('content.cart_item_saved', { title: item.title }));
+    });
+
+    this.#removeRow(cartItemRowToSave);
+  }
+
+  /**
+   * Animates the removal of a line item row.
+   * @param {HTMLTableRowElement} row - The row.
+   */
+  #removeRow(row) {
+    const remove = () => row.remove();
 
     if (prefersReducedMotion()) return remove();
 
     // Add class to the row to trigger the animation
-    cartItemRowToRemove.style.setProperty('--row-height', `${cartItemRowToRemove.clientHeight}px`);
-    cartItemRowToRemove.classList.add('removing');
+    row.style.setProperty('--row-height', `${row.clientHeight}px`);
+    row.classList.add('removing');
 
     // Remove the row after the animation ends
-    onAnimationEnd(cartItemRowToRemove, remove);
+    onAnimationEnd(row, remove);
   }
 
   /**
    * Updates the quantity.
    * @param {Object} config - The config.
    * @param {number} config.line - The line.
+   * @param {string} [config.key] - The line item key, used to target the line if earlier updates moved it.
    * @param {number} config.quantity - The quantity.
    * @param {string} config.action - The action.
+   * @returns {Promise<boolean>} Whether the quantity was updated.
    */
   updateQuantity(config) {
     const cartPerformaceUpdateMarker = cartPerformance.createStartingMarker(`${config.action}:user-action`);
 
     this.#disableCartItems();
 
-    const { line, quantity } = config;
+    const { line, key, quantity } = config;
     const { cartTotal } = this.refs;
 
-    const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    const sectionsToUpdate = new Set([this.sectionId]);
-    cartItemsComponents.forEach((item) => {
-      if (item instanceof HTMLElement && item.dataset.sectionId) {
-        sectionsToUpdate.add(item.dataset.sectionId);
-      }
-    });
-
-    const body = JSON.stringify({
-      line: line,
-      quantity: quantity,
-      sections: Array.from(sectionsToUpdate).join(','),
-    });
+    const sectionsToUpdate = new Set([this.sectionId, ...getCartSectionIds()]);
 
     cartTotal?.shimmer();
 
-    fetch(`${Theme.routes.cart_change_url}`, fetchConfig('json', { body }))
-      .then((response) => {
-        return response.text();
+    return cart
+      .change(key ? { id: key, quantity } : { line, quantity }, {
+        sections: Array.from(sectionsToUpdate),
+        target: this,
+        sourceId: this.sectionId,
+        data: { source: 'cart-items-component' },
       })
-      .then((responseText) => {
-        const parsedResponseText = JSON.parse(responseText);
-
+      .then(({ cart: updatedCart, sections }) => {
         resetShimmer(this);
 
-        if (parsedResponseText.errors) {
-          this.#handleCartError(line, parsedResponseText);
-          return;
+        const sectionHTML = sections[this.sectionId];
+
+        if (sectionHTML) {
+          morphSection(this.sectionId, sectionHTML).catch((error) => {
+            this.dispatchEvent(new ThemeErrorEvent(error, { action: 'morphSection' }));
+          });
+        } else if (cartTotal) {
+          // The section couldn't be rendered, keep at least the total in sync with the cart
+          const { moneyFormat, currency } = cartTotal.dataset;
+
+          // An empty format formats the amount for the locale, when the rendered one is for another currency
+          cartTotal.textContent = money.format(updatedCart.total_price, {
+            format: currency === updatedCart.currency ? (moneyFormat ?? '') : '',
+            currency: updatedCart.currency,
+          });
         }
 
-        const newSectionHTML = new DOMParser().parseFromString(
-          parsedResponseText.sections[this.sectionId],
-          'text/html'
-        );
-
-        // Grab the new cart item count from a hidden element
-        const newCartHiddenItemCount = newSectionHTML.querySelector('[ref="cartItemCount"]')?.textContent;
-        const newCartItemCount = newCartHiddenItemCount ? parseInt(newCartHiddenItemCount, 10) : 0;
-
-        this.dispatchEvent(
-          new CartUpdateEvent({}, this.sectionId, {
-            itemCount: newCartItemCount,
-            source: 'cart-items-component',
-            sections: parsedResponseText.sections,
-          })
-        );
-
-        morphSection(this.sectionId, parsedResponseText.sections[this.sectionId]);
+        return true;
       })
       .catch((error) => {
-        console.error(error);
+        resetShimmer(this);
+
+        if (error instanceof CartError) {
+          this.#handleCartError(line, error.message);
+        } else {
+          this.dispatchEvent(new ThemeErrorEvent(error, { action: config.action }));
+        }
+
+        return false;
       })
       .finally(() => {
         this.#enableCartItems();
@@ -166,6 +224,78 @@ class CartItemsComponent extends Component {
       });
   }
 
+  /**
+   * Shows a toast offering to add a removed line item back to the cart.
+   * @param {LineItemSnapshot} item - The removed line item.
+   * @param {Promise<boolean>} removal - Resolves with whether the line item was removed.
+   */
+  #offerUndo(item, removal) {
+    const { undoToast } = this.refs;
+    if (!undoToast) return;
+
+    const undo = () => this.#restoreLineItem(item, removal);
+
+    undoToast.show(t('content.cart_item_removed', { title: item.title }), undo);
+
+    removal.then((removed) => {
+      if (!removed) undoToast.hide(undo);
+    });
+  }
+
+  /**
+   * Adds a removed line item back to the cart, with its properties and selling plan.
+   * @param {LineItemSnapshot} item - The removed line item.
+   * @param {Promise<boolean>} removal - Resolves with whether the line item was removed.
+   */
+  async #restoreLineItem(item, removal) {
+    if (!(await removal)) return;
+
+    const cartPerformaceUpdateMarker = cartPerformance.createStartingMarker('undo-remove:user-action');
+    const { undoToast } = this.refs;
+
+    this.#disableCartItems();
+
+    try {
+      const { sections } = await cart.add(
+        {
+          items: [
+            {
+              id: item.variantId,
+              quantity: item.quantity,
+              properties: item.properties,
+              ...(item.sellingPlanId ? { selling_plan: item.sellingPlanId } : {}),
+            },
+          ],
+        },
+        {
+          sections: Array.from(new Set([this.sectionId, ...getCartSectionIds()])),
+          target: this,
+          sourceId: this.sectionId,
+          data: { source: 'cart-items-component' },
+        }
+      );
+
+      const sectionHTML = sections[this.sectionId];
+
+      if (sectionHTML) {
+        morphSection(this.sectionId, sectionHTML).catch((error) => {
+          this.dispatchEvent(new ThemeErrorEvent(error, { action: 'morphSection' }));
+        });
+      }
+
+      undoToast?.announce(t('content.cart_item_restored', { title: item.title }));
+    } catch (error) {
+      if (error instanceof CartError) {
+        undoToast?.announce(error.message);
+      } else {
+        this.dispatchEvent(new ThemeErrorEvent(error, { action: 'undo-remove' }));
+      }
+    } finally {
+      this.#enableCartItems();
+      cartPerformance.measureFromMarker(cartPerformaceUpdateMarker);
+    }
+  }
+
   /**
    * Handles the discount update.
    * @param {DiscountUpdateEvent} event - The event.
@@ -175,26 +305,23 @@ class CartItemsComponent extends Component {
   };
 
   /**
-   * Handles the cart error.
+   * Handles the cart error, unless the row of the line is already gone (e.g. it was removed).
    * @param {number} line - The line.
-   * @param {Object} parsedResponseText - The parsed response text.
-   * @param {string} parsedResponseText.errors - The errors.
+   * @param {string} message - The error message.
    */
-  #handleCartError = (line, parsedResponseText) => {
-    const quantitySelector = this.refs.quantitySelectors[line - 1];
-    const quantityInput = quantitySelector?.querySelector('input');
+  #handleCartError = (line, message) => {
+    const quantityInput = this.#getLineItemRow(line)?.querySelector('input');
 
-    if (!quantityInput) throw new Error('Quantity input not found');
+    if (!(quantityInput instanceof HTMLInputElement)) return;
 
     quantityInput.value = quantityInput.defaultValue;
 
     const cartItemError = this.refs[`cartItemError-${line}`];
     const cartItemErrorContainer = this.refs[`cartItemErrorContainer-${line}`];
 
-    if (!(cartItemError instanceof HTMLElement)) throw new Error('Cart item error not found');
-    if (!(cartItemErrorContainer instanceof HTMLElement)) throw new Error('Cart item error container not found');
+    if (!(cartItemError instanceof HTMLElement) || !(cartItemErrorContainer instanceof HTMLElement)) return;
 
-    cartItemError.textContent = parsedResponseText.errors;
+    cartItemError.textContent = message;
     cartItemErrorContainer.classList.remove('hidden');
   };
 
@@ -205,19 +332,57 @@ class CartItemsComponent extends Component {
    */
   #handleCartUpdate = (event) => {
     if (event instanceof DiscountUpdateEvent) {
-      sectionRenderer.renderSection(this.sectionId, { cache: false });
+      this.#renderSections(getCartSectionIds());
       return;
     }
     if (event.target === this) return;
 
-    const cartItemsHtml = event.detail.data.sections?.[this.sectionId];
+    // The sections of a newer cart update replace the ones still being fetched
+    this.#activeRender?.abort();
+
+    const { sections = {} } = event.detail.data;
+    const cartItemsHtml = sections[this.sectionId];
     if (cartItemsHtml) {
-      morphSection(this.sectionId, cartItemsHtml);
+      morphSection(this.sectionId, cartItemsHtml).catch((error) => {
+        this.dispatchEvent(new ThemeErrorEvent(error, { action: 'morphSection' }));
+      });
     } else {
-      sectionRenderer.renderSection(this.sectionId, { cache: false });
+      // Every cart section on the page requests the same batch, so the sections are fetched once
+      this.#renderSections(getCartSectionIds().filter((sectionId) => !sections[sectionId]));
     }
   };
 
+  /**
+   * Renders the cart sections again, aborting the previous render.
+   * @param {string[]} sectionIds - The section IDs.
+   */
+  async #renderSections(sectionIds) {
+    this.#activeRender?.abort();
+
+    const abortController = new AbortController();
+    this.#activeRender = abortController;
+
+    try {
+      await sectionRenderer.renderSections(sectionIds, undefined, { cache: false, signal: abortController.signal });
+    } catch (error) {
+      // Section render errors are already reported with a `SectionRenderErrorEvent`
+      if (abortController.signal.aborted || error instanceof SectionRenderError) return;
+
+      this.dispatchEvent(new ThemeErrorEvent(error, { action: 'renderSections' }));
+    } finally {
+      if (this.#activeRender === abortController) this.#activeRender = null;
+    }
+  }
+
+  /**
+   * Gets the row of a line item.
+   * @param {number} line - The line, as rendered by the server.
+   * @returns {HTMLTableRowElement | undefined} The row.
+   */
+  #getLineItemRow(line) {
+    return this.refs.cartItemRows?.find((row) => row.dataset.cartLine === String(line));
+  }
+
   /**
    * Disables the cart items.
    */
@@ -245,6 +410,25 @@ class CartItemsComponent extends Component {
   }
 }
 
+/**
+ * Gets a line item from its row.
+ * @param {HTMLTableRowElement} row - The row of the line item.
+ * @returns {LineItemSnapshot} The line item.
+ */
+function getLineItemSnapshot(row) {
+  const { variantId, quantity, properties, sellingPlanId, title = '', url = '', image } = row.dataset;
+
+  return {
+    variantId: Number(variantId),
+    quantity: Number(quantity) || 1,
+    properties: properties ? (JSON.parse(properties) ?? {}) : {},
+    sellingPlanId: sellingPlanId ? Number(sellingPlanId) : undefined,
+    title,
+    url,
+    image: image || undefined,
+  };
+}
+
 if (!customElements.get('cart-items-component')) {
   customElements.define('cart-items-component', CartItemsComponent);
 }
@@ -0,0 +1,179 @@
+import { Component } from '@theme/component';
+import { ThemeErrorEvent } from '@theme/events';
+import { cart, CartError, getCartSectionIds } from '@theme/cart';
+import { savedItems } from '@theme/saved-items';
+import { cartPerformance } from '@theme/performance';
+import { t } from '@theme/translations';
+
+/** @typedef {import('./saved-items').SavedItem} SavedItem */
+
+/**
+ * A custom element that displays the items saved for later, and moves them back to the cart.
+ *
+ * The items are rendered from the `itemTemplate` template, whose `data-saved-item-*` elements receive the values
+ * of each item.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLUListElement} list - The list of saved items.
+ * @property {HTMLTemplateElement} itemTemplate - The template of a saved item.
+ * @property {HTMLElement} error - The error message.
+ *
+ * @extends {Component<Refs>}
+ */
+class SavedItemsComponent extends Component {
+  requiredRefs = ['list', 'itemTemplate', 'error'];
+
+  /**
+   * @type {(() => void) | undefined}
+   */
+  #unsubscribe;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#render(savedItems.items);
+    this.#unsubscribe = savedItems.subscribe(this.#render);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#unsubscribe?.();
+  }
+
+  /**
+   * Moves a saved item to the cart.
+   * @param {string} id - The ID of the saved item.
+   * @param {Event} event - The click event.
+   */
+  async moveToCart(id, event) {
+    const item = savedItems.items.find((savedItem) => savedItem.id === id);
+    if (!item) return;
+
+    const cartPerformaceUpdateMarker = cartPerformance.createStartingMarker('move-to-cart:user-action');
+
+    this.#setError('');
+    this.#setBusy(event, true);
+
+    try {
+      await cart.add(
+        {
+          items: [
+            {
+              id: item.variantId,
+              quantity: item.quantity,
+              properties: item.properties,
+              ...(item.sellingPlanId ? { selling_plan: item.sellingPlanId } : {}),
+            },
+          ],
+        },
+        {
+          sections: getCartSectionIds(),
+          target: this,
+          sourceId: this.id,
+          data: { source: 'saved-items-component', variantId: String(item.variantId) },
+        }
+      );
+
+      savedItems.remove(id);
+    } catch (error) {
+      if (error instanceof CartError) {
+        this.#setError(error.message);
+      } else {
+        this.dispatchEvent(new ThemeErrorEvent(error, { action: 'moveToCart' }));
+      }
+    } finally {
+      this.#setBusy(event, false);
+      cartPerformance.measureFromMarker(cartPerformaceUpdateMarker);
+    }
+  }
+
+  /**
+   * Removes a saved item.
+   * @param {string} id - The ID of the saved item.
+   */
+  removeItem(id) {
+    this.#setError('');
+    savedItems.remove(id);
+  }
+
+  /**
+   * Renders the saved items.
+   * @param {SavedItem[]} items - The saved items.
+   */
+  #render = (items) => {
+    const { list, itemTemplate } = this.refs;
+
+    list.replaceChildren(...items.map((item) => this.#renderItem(item, itemTemplate)));
+    this.hidden = items.length === 0;
+  };
+
+  /**
+   * Renders a saved item.
+   * @param {SavedItem} item - The saved item.
+   * @param {HTMLTemplateElement} template - The template of a saved item.
+   * @returns {DocumentFragment} The saved item.
+   */
+  #renderItem(item, template) {
+    const fragment = /** @type {DocumentFragment} */ (template.content.cloneNode(true));
+
+    for (const link of fragment.querySelectorAll('a[data-saved-item-link]')) {
+      if (link instanceof HTMLAnchorElement) link.href = item.url;
+    }
+
+    for (const image of fragment.querySelectorAll('img[data-saved-item-image]')) {
+      if (!(image instanceof HTMLImageElement)) continue;
+
+      if (item.image) image.src = item.image;
+      else image.closest('[data-saved-item-media]')?.remove();
+    }
+
+    for (const title of fragment.querySelectorAll('[data-saved-item-title]')) {
+      title.textContent = item.title;
+    }
+
+    for (const quantity of fragment.querySelectorAll('[data-saved-item-quantity]')) {
+      quantity.textContent = t('content.saved_item_quantity', { quantity: item.quantity });
+    }
+
+    for (const button of fragment.querySelectorAll('[data-saved-item-move]')) {
+      button.setAttribute('on:click', `/moveToCart/${item.id}`);
+      button.setAttribute('aria-label', t('accessibility.move_item_to_cart', { title: item.title }));
+    }
+
+    for (const button of fragment.querySelectorAll('[data-saved-item-remove]')) {
+      button.setAttribute('on:click', `/removeItem/${item.id}`);
+      button.setAttribute('aria-label', t('accessibility.remove_item', { title: item.title }));
+    }
+
+    return fragment;
+  }
+
+  /**
+   * Shows an error message, or hides it.
+   * @param {string} message - The error message.
+   */
+  #setError(message) {
+    const { error } = this.refs;
+
+    error.textContent = message;
+    error.classList.toggle('hidden', !message);
+  }
+
+  /**
+   * Disables the button that was clicked while the request is pending.
+   * @param {Event} event - The click event.
+   * @param {boolean} busy - Whether the request is pending.
+   */
+  #setBusy(event, busy) {
+    const button = event.target;
+    if (!(button instanceof HTMLButtonElement)) return;
+
+    button.disabled = busy;
+    button.setAttribute('aria-busy', String(busy));
+  }
+}
+
+if (!customElements.get('saved-items-component')) {
+  customElements.define('saved-items-component', SavedItemsComponent);
+}
@@ -1,4 +1,5 @@
-import { requestIdleCallback } from '@theme/utilities';
+import { requestIdleCallback, scheduler } from '@theme/utilities';
+import { ThemeErrorEvent } from '@theme/events';
 
 /**
  * @typedef {Record<string, Element | Element[] | undefined>} Refs
@@ -9,13 +10,32 @@ import { requestIdleCallback } from '@theme/utilities';
  * @typedef {T & Refs} RefsType
  */
 
+/**
+ * @typedef {Record<string, any>} State
+ */
+
 /**
  * Base class that powers our custom web components.
  *
  * Manages references to child elements with `ref` attributes and sets up mutation observers to keep
  * the refs updated when the DOM changes. Also handles declarative event listeners using.
  *
+ * Components with a `hydrate` attribute defer their setup until a condition is met:
+ * - `visible`: the component gets close to the viewport
+ * - `idle`: the main thread is idle
+ * - `interaction`: the user hovers, touches or focuses the component
+ * - `media(<query>)`: the media query matches, e.g. `media((width >= 750px))`
+ * Only subclasses setting up in `hydratedCallback`, without overriding `connectedCallback`, support the attribute:
+ * it's ignored for the others, so they're never left running without their refs.
+ *
+ * Descendants can bind to the component's reactive `state` with `data-bind:*` attributes, which are updated in a
+ * batched flush whenever the state changes:
+ * - `data-bind:text="count"` sets the text content
+ * - `data-bind:attr="aria-expanded: open; data-count: count"` sets or removes attributes
+ * - `data-bind:class="is-empty: !count"` toggles classes
+ *
  * @template {Refs} [T=Refs]
+ * @template {State} [S=State]
  * @extends {DeclarativeShadowElement}
  */
 export class Component extends DeclarativeShadowElement {
@@ -33,6 +53,42 @@ export class Component extends DeclarativeShadowElement {
    */
   requiredRefs;
 
+  /**
+   * The reactive state, created on first access.
+   *
+   * @type {S | undefined}
+   */
+  #state;
+
+  /**
+   * The reactive state rendered by `data-bind:*` attributes.
+   *
+   * Setting a top-level property schedules an update of the bindings; nested objects must be replaced to
+   * trigger one.
+   *
+   * @returns {S} The state.
+   */
+  get state() {
+    this.#state ??= /** @type {S} */ (
+      new Proxy(/** @type {State} */ ({}), {
+        set: (target, property, value) => {
+          if (Object.is(target[/** @type {string} */ (property)], value)) return true;
+
+          target[/** @type {string} */ (property)] = value;
+          scheduler.schedule(this.#updateBindings);
+          return true;
+        },
+        deleteProperty: (target, property) => {
+          delete target[/** @type {string} */ (property)];
+          scheduler.schedule(this.#updateBindings);
+          return true;
+        },
+      })
+    );
+
+    return this.#state;
+  }
+
   /**
    * Gets the root node of the component, which is either its shadow root or the component itself.
    *
@@ -48,6 +104,8 @@ export class Component extends DeclarativeShadowElement {
    * Initializes event listeners and refs.
    */
   connectedCallback() {
+    if (!this.#shouldHydrate()) return;
+
     super.connectedCallback();
     registerEventListeners();
 
@@ -64,6 +122,50 @@ export class Component extends DeclarativeShadowElement {
         });
       }
     });
+
+    this.hydratedCallback();
+  }
+
+  /**
+   * Called when the element is connected and set up, once its `hydrate` condition is met if it has one.
+   *
+   * Subclasses supporting the `hydrate` attribute set up here instead of in `connectedCallback`. Their
+   * `disconnectedCallback` also runs when they were never set up, so it must only undo what this method did.
+   */
+  hydratedCallback() {}
+
+  /**
+   * Whether the component is set up, rather than waiting for its `hydrate` condition.
+   *
+   * @returns {boolean}
+   */
+  get hydrated() {
+    return !pendingHydrations.has(this);
+  }
+
+  /**
+   * Sets up the component immediately, without waiting for its `hydrate` condition.
+   */
+  hydrate() {
+    pendingHydrations.get(this)?.hydrate();
+  }
+
+  /**
+   * Checks if the component can be set up, otherwise waits for its `hydrate` condition to set it up.
+   *
+   * @returns {boolean} Whether the component can be set up now.
+   */
+  #shouldHydrate() {
+    const strategy = this.getAttribute('hydrate');
+
+    if (hydratedComponents.has(this) || !strategy || Shopify.designMode) return true;
+
+    // The setup of an overridden `connectedCallback` would run right after this one returns
+    if (this.connectedCallback !== Component.prototype.connectedCallback) return true;
+
+    if (!pendingHydrations.has(this)) waitForHydration(this, strategy);
+
+    return false;
   }
 
   /**
@@ -72,6 +174,9 @@ export class Component extends DeclarativeShadowElement {
   updatedCallback() {
     this.#mutationObserver.takeRecords();
     this.#updateRefs();
+
+    // The new markup is rendered from the server's state, so apply the client state again
+    if (this.#state) this.#updateBindings();
   }
 
   /**
@@ -80,6 +185,15 @@ export class Component extends DeclarativeShadowElement {
    * Disconnects the mutation observer.
    */
   disconnectedCallback() {
+    const pendingHydration = pendingHydrations.get(this);
+
+    if (pendingHydration) {
+      // Stop waiting, the component was never set up
+      pendingHydration.cancel();
+      pendingHydrations.delete(this);
+      return;
+    }
+
     this.#mutationObserver.disconnect();
   }
 
@@ -125,6 +239,20 @@ export class Component extends DeclarativeShadowElement {
     this.refs = /** @type {RefsType<T>} */ (refs);
   }
 
+  /**
+   * Updates the elements bound to the state with `data-bind:*` attributes.
+   */
+  #updateBindings = () => {
+    const state = this.#state;
+    if (!state) return;
+
+    for (const root of this.roots) {
+      for (const element of root.querySelectorAll(BINDING_SELECTOR)) {
+        if (this.#isDescendant(element)) applyBindings(element, state);
+      }
+    }
+  };
+
   /**
    * MutationObserver instance to observe changes in the component's DOM subtree and update refs accordingly.
    *
@@ -151,6 +279,178 @@ export class Component extends DeclarativeShadowElement {
   #isDescendant = (node) => getClosestComponent(getAncestor(node)) === this;
 }
 
+/**
+ * The margin around the viewport within which `hydrate="visible"` components are set up.
+ */
+const HYDRATION_ROOT_MARGIN = '200px';
+
+/**
+ * The events that set up `hydrate="interaction"` components.
+ */
+const HYDRATION_EVENTS = ['pointerenter', 'pointerdown', 'touchstart', 'focusin', 'keydown'];
+
+/**
+ * The components that were set up after waiting for their `hydrate` condition.
+ *
+ * @type {WeakSet<Component>}
+ */
+const hydratedComponents = new WeakSet();
+
+/**
+ * The components waiting for their `hydrate` condition, with functions to set them up or stop waiting.
+ *
+ * @type {WeakMap<Component, { hydrate: () => void, cancel: () => void }>}
+ */
+const pendingHydrations = new WeakMap();
+
+/**
+ * Sets up a component once its `hydrate` condition is met, by calling its `connectedCallback` again.
+ *
+ * @param {Component} component - The component.
+ * @param {string} strategy - The value of the `hydrate` attribute.
+ */
+function waitForHydration(component, strategy) {
+  const pendingHydration = {
+    hydrate() {
+      if (pendingHydrations.get(component) !== pendingHydration) return;
+
+      pendingHydration.cancel();
+      pendingHydrations.delete(component);
+      hydratedComponents.add(component);
+      component.connectedCallback();
+    },
+    cancel() {},
+  };
+
+  pendingHydrations.set(component, pendingHydration);
+  pendingHydration.cancel = scheduleHydration(component, strategy, pendingHydration.hydrate);
+}
+
+/**
+ * Calls a function once a `hydrate` condition is met.
+ *
+ * @param {Element} element - The element to hydrate.
+ * @param {string} strategy - The value of the `hydrate` attribute.
+ * @param {() => void} callback - The function to call.
+ * @returns {() => void} A function to stop waiting.
+ */
+function scheduleHydration(element, strategy, callback) {
+  if (strategy === 'visible') {
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) callback();
+      },
+      { rootMargin: HYDRATION_ROOT_MARGIN }
+    );
+
+    observer.observe(element);
+    return () => observer.disconnect();
+  }
+
+  if (strategy === 'idle') {
+    let cancelled = false;
+
+    requestIdleCallback(() => {
+      if (!cancelled) callback();
+    });
+    return () => (cancelled = true);
+  }
+
+  if (strategy === 'interaction') {
+    const abortController = new AbortController();
+
+    for (const eventName of HYDRATION_EVENTS) {
+      element.addEventListener(eventName, callback, { once: true, passive: true, signal: abortController.signal });
+    }
+    return () => abortController.abort();
+  }
+
+  const query = strategy.match(/^media\((.+)\)$/)?.[1];
+  if (query) {
+    const mediaQuery = window.matchMedia(query);
+
+    if (!mediaQuery.matches) {
+      /** @param {MediaQueryListEvent} event */
+      const listener = (event) => {
+        if (event.matches) callback();
+      };
+
+      mediaQuery.addEventListener('change', listener);
+      return () => mediaQuery.removeEventListener('change', listener);
+    }
+  }
+
+  // The condition is met already, or the strategy is unknown
+  queueMicrotask(callback);
+  return () => {};
+}
+
+/**
+ * Selects the elements with `data-bind:*` attributes.
+ */
+const BINDING_SELECTOR = '[data-bind\\:text], [data-bind\\:attr], [data-bind\\:class]';
+
+/**
+ * Updates an element from the `data-bind:*` attributes it declares.
+ *
+ * @param {Element} element - The bound element.
+ * @param {State} state - The state of the component owning the element.
+ */
+function applyBindings(element, state) {
+  const text = element.getAttribute('data-bind:text');
+  if (text) {
+    const value = String(evaluateBinding(text, state) ?? '');
+    if (element.textContent !== value) element.textContent = value;
+  }
+
+  for (const [name, expression] of parseBindings(element.getAttribute('data-bind:attr'))) {
+    const value = evaluateBinding(expression, state);
+
+    if (value == null || (value === false && !name.startsWith('aria-'))) {
+      element.removeAttribute(name);
+    } else {
+      const attributeValue = value === true && !name.startsWith('aria-') ? '' : String(value);
+      if (element.getAttribute(name) !== attributeValue) element.setAttribute(name, attributeValue);
+    }
+  }
+
+  for (const [name, expression] of parseBindings(element.getAttribute('data-bind:class'))) {
+    element.classList.toggle(name, !!evaluateBinding(expression, state));
+  }
+}
+
+/**
+ * Parses a list of bindings, e.g. `aria-expanded: open; hidden: !count`.
+ *
+ * @param {string | null} value - The attribute value.
+ * @returns {[string, string][]} The names and expressions.
+ */
+function parseBindings(value) {
+  if (!value) return [];
+
+  return value
+    .split(';')
+    .map((binding) => binding.split(':').map((part) => part.trim()))
+    .filter(
+      /** @returns {binding is [string, string]} */ (binding) => binding.length === 2 && !!binding[0] && !!binding[1]
+    );
+}
+
+/**
+ * Evaluates a binding expression: a dotted path into the state, optionally negated with `!`.
+ *
+ * @param {string} expression - The expression, e.g. `cart.item_count` or `!open`.
+ * @param {State} state - The state.
+ * @returns {any} The value.
+ */
+function evaluateBinding(expression, state) {
+  const negated = expression.startsWith('!');
+  const path = negated ? expression.slice(1) : expression;
+  const value = path.split('.').reduce((object, key) => object?.[key], /** @type {any} */ (state));
+
+  return negated ? !value : value;
+}
+
 /**
  * Get the ancestor of a given node.
  *
@@ -238,6 +538,9 @@ function registerEventListeners() {
 
         if (!(instance instanceof Component) || !method) return;
 
+        // Set up a component that is still waiting for its `hydrate` condition before handling the event
+        if (!instance.hydrated) instance.hydrate();
+
         method = method.replace(/\?.*/, '');
 
         const callback = /** @type {any} */ (instance)[method];
@@ -249,9 +552,14 @@ function registerEventListeners() {
 
             if (data) args.unshift(parseData(data));
 
-            callback.call(instance, ...args);
+            const result = callback.call(instance, ...args);
+
+            // Async handlers reject instead of throwing
+            if (result instanceof Promise) {
+              result.catch((error) => instance.dispatchEvent(new ThemeErrorEvent(error, { action: method })));
+            }
           } catch (error) {
-            console.error(error);
+            instance.dispatchEvent(new ThemeErrorEvent(error, { action: method }));
           }
         }
       },
@@ -0,0 +1,179 @@
+import { ThemeEvents } from '@theme/events';
+
+/** @typedef {import('./events').ThemeErrorContext} ThemeErrorContext */
+
+/**
+ * @typedef {Object} ErrorReport
+ * @property {unknown} error - The error
+ * @property {string} message - The error message
+ * @property {string | undefined} stack - The error stack, if any
+ * @property {Required<Pick<ThemeErrorContext, 'component' | 'sectionId' | 'action'>> & { url: string }} context - Where the error happened
+ */
+
+/**
+ * @typedef {(report: ErrorReport) => void} ErrorReporter
+ */
+
+/**
+ * The maximum number of distinct errors reported per page, so a broken page doesn't flood the reporter
+ * @constant {number}
+ */
+const MAX_REPORTS = 25;
+
+/**
+ * The default reporter, logging errors to the console
+ * @type {ErrorReporter}
+ */
+export const consoleReporter = ({ error, context }) => {
+  const location = [context.component, context.action].filter(Boolean).join('#');
+
+  console.error(location ? `[${location}]` : '[theme]', error);
+};
+
+/**
+ * A class collecting the unexpected errors of the theme.
+ *
+ * Components report errors by dispatching a `ThemeErrorEvent`. Uncaught errors and unhandled rejections coming
+ * from theme assets are collected too. Each distinct error is forwarded once to the reporter, with its context.
+ *
+ * Available as `Theme.errors`, so app scripts can send the errors to a monitoring service.
+ *
+ * @example
+ * Theme.errors.setReporter(({ error, context }) => Sentry.captureException(error, { extra: context }));
+ */
+class ErrorCollector {
+  /**
+   * The reporter the errors are forwarded to
+   * @type {ErrorReporter}
+   */
+  #reporter = consoleReporter;
+
+  /**
+   * The signatures of the errors already reported
+   * @type {Set<string>}
+   */
+  #reportedErrors = new Set();
+
+  constructor() {
+    window.addEventListener(ThemeEvents.error, this.#handleThemeError, { capture: true });
+    window.addEventListener('error', this.#handleUncaughtError);
+    window.addEventListener('unhandledrejection', this.#handleUnhandledRejection);
+  }
+
+  /**
+   * Sets the reporter the errors are forwarded to
+   * @param {ErrorReporter} reporter - The reporter
+   */
+  setReporter(reporter) {
+    this.#reporter = reporter;
+  }
+
+  /**
+   * Collects an error
+   * @param {unknown} error - The error
+   * @param {ThemeErrorContext} [context] - Where the error happened
+   * @param {EventTarget | null} [target] - The element the error happened in, used to complete the context
+   */
+  capture(error, context = {}, target = null) {
+    if (error instanceof DOMException && error.name === 'AbortError') return;
+
+    const element = target instanceof Element ? target : null;
+
+    /** @type {ErrorReport} */
+    const report = {
+      error,
+      message: error instanceof Error ? error.message : String(error),
+      stack: error instanceof Error ? error.stack : undefined,
+      context: {
+        component: context.component ?? getComponentName(element),
+        sectionId: context.sectionId ?? getSectionId(element),
+        action: context.action ?? '',
+        url: window.location.href,
+      },
+    };
+
+    const signature = getSignature(report);
+    if (this.#reportedErrors.has(signature) || this.#reportedErrors.size >= MAX_REPORTS) return;
+
+    this.#reportedErrors.add(signature);
+
+    try {
+      this.#reporter(report);
+    } catch (reporterError) {
+      consoleReporter(report);
+      console.error(reporterError);
+    }
+  }
+
+  /**
+   * @param {Event} event - The theme error event
+   */
+  #handleThemeError = (event) => {
+    const { error, context } = /** @type {import('./events').ThemeErrorEvent} */ (event).detail;
+
+    this.capture(error, context, event.composedPath()[0] ?? event.target);
+  };
+
+  /**
+   * @param {ErrorEvent} event - The error event
+   */
+  #handleUncaughtError = (event) => {
+    if (!isThemeAsset(event.filename)) return;
+
+    this.capture(event.error ?? event.message);
+  };
+
+  /**
+   * @param {PromiseRejectionEvent} event - The unhandled rejection event
+   */
+  #handleUnhandledRejection = (event) => {
+    const { reason } = event;
+    if (!(reason instanceof Error) || !isThemeAsset(reason.stack)) return;
+
+    this.capture(reason);
+  };
+}
+
+/**
+ * Gets the signature identifying the repeats of an error
+ * @param {ErrorReport} report - The report
+ * @returns {string} The signature
+ */
+function getSignature({ message, context }) {
+  return [message, context.component, context.sectionId, context.action].join('|');
+}
+
+/**
+ * Gets the tag name of the closest custom element
+ * @param {Element | null} element - The element
+ * @returns {string} The tag name, or an empty string
+ */
+function getComponentName(element) {
+  for (let node = element; node; node = node.parentElement) {
+    if (node.localName.includes('-')) return node.localName;
+  }
+
+  return '';
+}
+
+/**
+ * Gets the ID of the section containing an element
+ * @param {Element | null} element - The element
+ * @returns {string} The section ID, or an empty string
+ */
+function getSectionId(element) {
+  return element?.closest('.shopify-section')?.id.replace(/^shopify-section-/, '') ?? '';
+}
+
+/**
+ * Whether a script URL or stack trace points to the theme assets, to leave out the errors of apps and extensions
+ * @param {string | undefined} source - The script URL or stack trace
+ * @returns {boolean}
+ */
+function isThemeAsset(source) {
+  return !!source && source.includes(Theme.routes.assets_url);
+}
+
+export const errorCollector = new ErrorCollector();
+
+Theme.errors = errorCollector;
@@ -1,9 +1,11 @@
 /**
  * @namespace ThemeEvents
  * @description A collection of theme-specific events that can be used to trigger and listen for changes anywhere in the theme.
+ * Subscribe through `Theme.events` to receive them wherever they're dispatched.
  * @example
- * document.dispatchEvent(new VariantUpdateEvent(variant, sectionId, { html }));
- * document.addEventListener(ThemeEvents.variantUpdate, (e) => { console.log(e.detail.variant) });
+ * Theme.events.emit(new VariantUpdateEvent(variant, sectionId, { html }));
+ * Theme.events.on(ThemeEvents.variantUpdate, (e) => { console.log(e.detail.resource) });
+ * Theme.events.on('cart:*', (e) => { console.log(e.type) }, { replay: true });
  */
 export class ThemeEvents {
   /** @static @constant {string} Event triggered when a variant is selected */
@@ -26,6 +28,14 @@ export class ThemeEvents {
   static discountUpdate = 'discount:update';
   /** @static @constant {string} Event triggered when changing collection filters */
   static FilterUpdate = 'filter:update';
+  /** @static @constant {string} Event triggered when sections fail to render */
+  static sectionRenderError = 'section:render-error';
+  /** @static @constant {string} Event triggered when predictive search results are shown */
+  static predictiveSearch = 'predictive-search:results';
+  /** @static @constant {string} Event triggered when a component catches an unexpected error */
+  static error = 'theme:error';
+  /** @static @constant {string} Event triggered when the client router rendered a new page */
+  static pageNavigation = 'page:navigation';
 }
 
 /**
@@ -283,3 +293,291 @@ export class FilterUpdateEvent extends Event {
     return [...this.detail.queryParams.entries()].filter(([key]) => key.startsWith('filter.')).length > 0;
   }
 }
+
+/**
+ * Event class for section rendering failures
+ * @extends {Event}
+ */
+export class SectionRenderErrorEvent extends Event {
+  /**
+   * Creates a new SectionRenderErrorEvent
+   * @param {import('./section-renderer').SectionRenderError} error - The error
+   */
+  constructor(error) {
+    super(ThemeEvents.sectionRenderError, { bubbles: true });
+    this.detail = {
+      error,
+      sectionIds: error.sectionIds,
+      status: error.status,
+    };
+  }
+}
+
+/**
+ * Event class for predictive search results
+ * @extends {Event}
+ */
+export class PredictiveSearchEvent extends Event {
+  /**
+   * Creates a new PredictiveSearchEvent
+   * @param {string} searchTerm - The search term the results were shown for
+   */
+  constructor(searchTerm) {
+    super(ThemeEvents.predictiveSearch, { bubbles: true });
+    this.detail = {
+      searchTerm,
+    };
+  }
+}
+
+/**
+ * Event class for pages rendered by the client router
+ * @extends {Event}
+ */
+export class PageNavigationEvent extends Event {
+  /**
+   * Creates a new PageNavigationEvent
+   * @param {string} url - The URL of the new page
+   * @param {string} previousUrl - The URL of the previous page
+   */
+  constructor(url, previousUrl) {
+    super(ThemeEvents.pageNavigation, { bubbles: true });
+    this.detail = {
+      url,
+      previousUrl,
+    };
+  }
+}
+
+/**
+ * @typedef {Object} ThemeErrorContext
+ * @property {string} [action] - What the component was doing, e.g. the name of the method that failed
+ * @property {string} [component] - The tag name of the component, derived from the event target when omitted
+ * @property {string} [sectionId] - The ID of the section, derived from the event target when omitted
+ */
+
+/**
+ * Event class for unexpected errors, reported by the error collector
+ * @extends {Event}
+ */
+export class ThemeErrorEvent extends Event {
+  /**
+   * Creates a new ThemeErrorEvent
+   * @param {unknown} error - The error
+   * @param {ThemeErrorContext} [context] - Where the error happened
+   */
+  constructor(error, context = {}) {
+    super(ThemeEvents.error, { bubbles: true, composed: true });
+    this.detail = {
+      error,
+      context,
+    };
+  }
+}
+
+/**
+ * @typedef {Event & { detail?: any }} ThemeEvent
+ */
+
+/**
+ * @typedef {(event: ThemeEvent) => void} ThemeEventHandler
+ */
+
+/**
+ * @typedef {Object} SubscribeOptions
+ * @property {boolean} [replay] - Call the handler right away with the last matching event(s), if any
+ * @property {AbortSignal} [signal] - A signal to unsubscribe the handler
+ */
+
+/**
+ * A bus to subscribe to theme events, wherever they're dispatched.
+ *
+ * Events are observed in the capture phase on `window`, so handlers receive events dispatched on any element, the
+ * document or the window, even if a listener stops their propagation. Event names can use a `namespace:*` wildcard,
+ * or `*` to match every theme event.
+ *
+ * Available as `Theme.events` for app scripts.
+ *
+ * @example
+ * const unsubscribe = Theme.events.on('cart:*', (event) => console.log(event.type, event.detail));
+ * Theme.events.once(ThemeEvents.variantUpdate, (event) => console.log(event.detail.resource), { replay: true });
+ */
+class ThemeEventBus {
+  /**
+   * The handlers, by event name or pattern
+   * @type {Map<string, Set<ThemeEventHandler>>}
+   */
+  #handlers = new Map();
+
+  /**
+   * The last event of each observed name, in the order they were dispatched
+   * @type {Map<string, ThemeEvent>}
+   */
+  #lastEvents = new Map();
+
+  /**
+   * The event names observed on the window
+   * @type {Set<string>}
+   */
+  #observedNames = new Set();
+
+  constructor() {
+    for (const name of [...Object.values(ThemeEvents), SlideshowSelectEvent.eventName]) {
+      this.#observe(name);
+    }
+  }
+
+  /**
+   * Subscribes to an event
+   * @param {string} name - The event name, e.g. `cart:update`, a namespace wildcard like `cart:*` or `*`
+   * @param {ThemeEventHandler} handler - The handler
+   * @param {SubscribeOptions} [options] - The options
+   * @returns {() => void} A function to unsubscribe
+   */
+  on(name, handler, { replay = false, signal } = {}) {
+    if (signal?.aborted) return () => {};
+
+    if (!isPattern(name)) this.#observe(name);
+
+    let handlers = this.#handlers.get(name);
+    if (!handlers) {
+      handlers = new Set();
+      this.#handlers.set(name, handlers);
+    }
+    handlers.add(handler);
+
+    const off = () => this.off(name, handler);
+    signal?.addEventListener('abort', off, { once: true });
+
+    if (replay) {
+      for (const event of this.#lastEvents.values()) {
+        if (handlers.has(handler) && matches(name, event.type)) callHandler(handler, event);
+      }
+    }
+
+    return off;
+  }
+
+  /**
+   * Unsubscribes from an event
+   * @param {string} name - The name the handler was subscribed with
+   * @param {ThemeEventHandler} handler - The handler
+   */
+  off(name, handler) {
+    const handlers = this.#handlers.get(name);
+    if (!handlers) return;
+
+    handlers.delete(handler);
+    if (handlers.size === 0) this.#handlers.delete(name);
+  }
+
+  /**
+   * Subscribes to the next matching event only
+   * @param {string} name - The event name or pattern
+   * @param {ThemeEventHandler} handler - The handler
+   * @param {SubscribeOptions} [options] - The options, replaying calls the handler with the last matching event
+   * @returns {() => void} A function to unsubscribe
+   */
+  once(name, handler, options) {
+    /** @type {ThemeEventHandler} */
+    const onceHandler = (event) => {
+      this.off(name, onceHandler);
+      handler(event);
+    };
+
+    return this.on(name, onceHandler, options);
+  }
+
+  /**
+   * Dispatches a theme event. Events dispatched from a component should use the component as target, so they bubble
+   * through its section.
+   * @param {Event} event - The event
+   * @param {EventTarget} [target] - The dispatch target, defaults to the document
+   * @returns {boolean} False if the event was cancelled
+   */
+  emit(event, target = document) {
+    return target.dispatchEvent(event);
+  }
+
+  /**
+   * Gets the last dispatched event of a name
+   * @param {string} name - The event name
+   * @returns {ThemeEvent | undefined} The event
+   */
+  last(name) {
+    return this.#lastEvents.get(name);
+  }
+
+  /**
+   * Starts observing an event name
+   * @param {string} name - The event name
+   */
+  #observe(name) {
+    if (this.#observedNames.has(name)) return;
+
+    this.#observedNames.add(name);
+    window.addEventListener(name, this.#handleEvent, { capture: true });
+  }
+
+  /**
+   * Records an event and calls the matching handlers
+   * @param {ThemeEvent} event - The event
+   */
+  #handleEvent = (event) => {
+    // Keep the map ordered by dispatch time
+    this.#lastEvents.delete(event.type);
+    this.#lastEvents.set(event.type, event);
+
+    for (const [name, handlers] of this.#handlers) {
+      if (!matches(name, event.type)) continue;
+
+      for (const handler of [...handlers]) callHandler(handler, event);
+    }
+  };
+}
+
+/**
+ * Checks if an event name is a wildcard pattern
+ * @param {string} name - The name
+ * @returns {boolean}
+ */
+function isPattern(name) {
+  return name === '*' || name.endsWith(':*');
+}
+
+/**
+ * Checks if an event type matches a subscribed name or pattern
+ * @param {string} name - The subscribed name, e.g. `cart:update`, `cart:*` or `*`
+ * @param {string} type - The event type
+ * @returns {boolean}
+ */
+function matches(name, type) {
+  if (name === '*' || name === type) return true;
+
+  return name.endsWith(':*') && type.startsWith(name.slice(0, -1));
+}
+
+/**
+ * Calls a handler, so an error in one subscriber doesn't prevent the others from being called.
+ * The error is reported to the theme error collector instead.
+ * @param {ThemeEventHandler} handler - The handler
+ * @param {ThemeEvent} event - The event
+ */
+function callHandler(handler, event) {
+  try {
+    handler(event);
+  } catch (error) {
+    if (event.type === ThemeEvents.error) {
+      // Reporting it with another error event would call the same handler again, rethrow it as uncaught instead
+      queueMicrotask(() => {
+        throw error;
+      });
+    } else {
+      document.dispatchEvent(new ThemeErrorEvent(error, { component: 'events', action: event.type }));
+    }
+  }
+}
+
+export const themeEvents = new ThemeEventBus();
+
+Theme.events = themeEvents;
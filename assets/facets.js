@@ -1,7 +1,11 @@
-import { sectionRenderer } from '@theme/section-renderer';
+import { SectionRenderError, sectionRenderer, showRenderErrorRecovery } from '@theme/section-renderer';
+import { sectionHistory } from '@theme/section-history';
 import { Component } from '@theme/component';
 import { FilterUpdateEvent, ThemeEvents } from '@theme/events';
-import { debounce, formatMoney, startViewTransition } from '@theme/utilities';
+import { debounce, startViewTransition } from '@theme/utilities';
+import * as money from '@theme/money';
+import { t } from '@theme/translations';
+import { interactionPerformance } from '@theme/performance';
 
 /**
  * Search query parameter.
@@ -21,6 +25,30 @@ const SEARCH_QUERY = 'q';
 class FacetsFormComponent extends Component {
   requiredRefs = ['facetsForm'];
 
+  connectedCallback() {
+    super.connectedCallback();
+
+    sectionHistory.track(this.sectionId);
+    window.addEventListener('popstate', this.#handlePopState);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    window.removeEventListener('popstate', this.#handlePopState);
+  }
+
+  /**
+   * Notifies the filter listeners when the user navigates back or forward to a filtered state.
+   * The section itself, including the form and sorting, is restored by the section history.
+   * @param {PopStateEvent} event - The popstate event
+   */
+  #handlePopState = (event) => {
+    if (sectionHistory.getState(event.state)?.sectionId !== this.sectionId) return;
+
+    this.dispatchEvent(new FilterUpdateEvent(new URL(window.location.href).searchParams));
+  };
+
   /**
    * Creates URL parameters from form data
    * @param {FormData} [formData] - Optional form data to use instead of the main form
@@ -67,7 +95,7 @@ class FacetsFormComponent extends Component {
       url.searchParams.append(param, value);
     }
 
-    history.pushState({ urlParameters: urlParameters.toString() }, '', url.toString());
+    sectionHistory.push(this.sectionId, url, 'facets');
   }
 
   /**
@@ -84,20 +112,37 @@ class FacetsFormComponent extends Component {
    */
   #updateSection() {
     const viewTransition = !this.closest('dialog');
+    const startMarker = interactionPerformance.createStartingMarker('facets-update');
+    const renderSection = () =>
+      sectionRenderer
+        .renderSection(this.sectionId)
+        .then(() => interactionPerformance.measureFromMarker(startMarker), this.#handleRenderError);
 
     if (viewTransition) {
-      startViewTransition(() => sectionRenderer.renderSection(this.sectionId), ['product-grid']);
+      startViewTransition(renderSection, ['product-grid']);
     } else {
-      sectionRenderer.renderSection(this.sectionId);
+      renderSection();
     }
   }
 
+  /**
+   * Offers to retry when the filtered results fail to render
+   * @param {unknown} error - The error
+   */
+  #handleRenderError = (error) => {
+    if (!(error instanceof SectionRenderError)) throw error;
+
+    const resultsList = document.querySelector(`results-list[section-id="${this.sectionId}"]`);
+
+    showRenderErrorRecovery(resultsList ?? this, () => this.#updateSection(), 'afterbegin');
+  };
+
   /**
    * Updates filters based on a provided URL
    * @param {string} url - The URL to update filters with
    */
   updateFiltersByURL(url) {
-    history.pushState('', '', url);
+    sectionHistory.push(this.sectionId, url, 'facets');
     this.dispatchEvent(new FilterUpdateEvent(this.createURLParameters()));
     this.#updateSection();
   }
@@ -261,12 +306,23 @@ class PriceFacetComponent extends Component {
   #adjustToValidValues(input) {
     if (input.value.trim() === '') return;
 
-    const value = Number(input.value);
-    const min = Number(formatMoney(input.getAttribute('data-min') ?? ''));
-    const max = Number(formatMoney(input.getAttribute('data-max') ?? ''));
+    const value = money.parse(input.value);
+    const min = money.parse(input.getAttribute('data-min') ?? '');
+    const max = money.parse(input.getAttribute('data-max') ?? '');
 
-    if (value < min) input.value = min.toString();
-    if (value > max) input.value = max.toString();
+    if (value < min) input.value = this.#formatInputValue(min);
+    if (value > max) input.value = this.#formatInputValue(max);
+  }
+
+  /**
+   * Formats an input value like the `money_without_currency` liquid filter that renders the inputs
+   * @param {number} cents - The value in cents
+   * @returns {string} The formatted value
+   */
+  #formatInputValue(cents) {
+    const { moneyFormat, currency } = this.dataset;
+
+    return money.formatWithoutCurrency(cents, { format: moneyFormat, currency: currency || undefined });
   }
 
   /**
@@ -566,8 +622,7 @@ class FacetStatusComponent extends Component {
     }
 
     if (checkedInputElementsCount > 3) {
-      facetStatus.innerHTML = checkedInputElementsCount.toString();
-      facetStatus.classList.add('bubble', 'facets__bubble');
+      this.#showCountBubble(checkedInputElementsCount);
       return;
     }
 
@@ -598,7 +653,25 @@ class FacetStatusComponent extends Component {
       return;
     }
 
-    facetStatus.innerHTML = checkedInputElementsCount.toString();
+    this.#showCountBubble(checkedInputElementsCount);
+  }
+
+  /**
+   * Shows the number of applied filters in a bubble, with a full description for screen readers
+   * @param {number} count - The number of applied filters
+   */
+  #showCountBubble(count) {
+    const { facetStatus } = this.refs;
+
+    const countElement = document.createElement('span');
+    countElement.setAttribute('aria-hidden', 'true');
+    countElement.textContent = count.toString();
+
+    const descriptionElement = document.createElement('span');
+    descriptionElement.className = 'visually-hidden';
+    descriptionElement.textContent = t('accessibility.filter_count', { count });
+
+    facetStatus.replaceChildren(countElement, descriptionElement);
     facetStatus.classList.add('bubble', 'facets__bubble');
   }
 
@@ -613,102 +686,36 @@ class FacetStatusComponent extends Component {
     const { facetStatus } = this.refs;
 
     if (!minInputValue && !maxInputValue) {
-      facetStatus.innerHTML = '';
+      facetStatus.textContent = '';
       return;
     }
 
     const minInputNum = this.#parseCents(minInputValue, '0');
     const maxInputNum = this.#parseCents(maxInputValue, facetStatus.dataset.rangeMax);
-    facetStatus.innerHTML = `${this.#formatMoney(minInputNum)}–${this.#formatMoney(maxInputNum)}`;
+    facetStatus.textContent = `${this.#formatMoney(minInputNum)}–${this.#formatMoney(maxInputNum)}`;
   }
 
   /**
    * Parses a decimal number as cents
    * @param {string} value - The stringified decimal number to parse
-   * @param {string} fallback - The fallback value in case `value` is invalid
+   * @param {string} fallback - The fallback value in cents in case `value` is invalid
    * @returns {number} The money value in cents
    */
   #parseCents(value, fallback = '0') {
-    const parts = value ? value.trim().split(/[^0-9]/) : (parseInt(fallback, 10) / 100).toString();
-    const [wholeStr, fractionStr, ...rest] = parts;
-    if (typeof wholeStr !== 'string' || rest.length > 0) return parseInt(fallback, 10);
-
-    const whole = parseInt(wholeStr, 10);
-    let fraction = parseInt(fractionStr || '0', 10);
-
-    // Use two most-significant digits, e.g. 1 -> 10, 12 -> 12, 123 -> 12.3, 1234 -> 12.34, etc
-    fraction = fraction * Math.pow(10, 2 - fraction.toString().length);
+    const cents = money.parse(value);
 
-    return whole * 100 + fraction;
+    return Number.isNaN(cents) ? parseInt(fallback, 10) : cents;
   }
 
   /**
-   * Formats money, replicated the implementation of the `money` liquid filters
-   * @param {number} moneyValue - The money value
+   * Formats money, like the `money` liquid filters
+   * @param {number} moneyValue - The money value in cents
    * @returns {string} The formatted money value
    */
   #formatMoney(moneyValue) {
-    const template = this.refs.facetStatus.dataset.moneyFormat || '{{amount}}';
-    const currency = this.refs.facetStatus.dataset.currency || '';
-
-    return template.replace(/{{\s*(\w+)\s*}}/g, (_, placeholder) => {
-      if (typeof placeholder !== 'string') return '';
-      if (placeholder === 'currency') return currency;
-
-      let thousandsSeparator = ',';
-      let decimalSeparator = '.';
-      let precision = CURRENCY_DECIMALS[currency.toUpperCase()] ?? DEFAULT_CURRENCY_DECIMALS;
-
-      if (placeholder === 'amount') {
-        // Check first since it's the most common, use defaults.
-      } else if (placeholder === 'amount_no_decimals') {
-        precision = 0;
-      } else if (placeholder === 'amount_with_comma_separator') {
-        thousandsSeparator = '.';
-        decimalSeparator = ',';
-      } else if (placeholder === 'amount_no_decimals_with_comma_separator') {
-        // Weirdly, this is correct. It uses amount_with_comma_separator's
-        // behaviour but removes decimals, resulting in an unintuitive
-        // output that can't possibly include commas, despite the name.
-        thousandsSeparator = '.';
-        precision = 0;
-      } else if (placeholder === 'amount_no_decimals_with_space_separator') {
-        thousandsSeparator = ' ';
-        precision = 0;
-      } else if (placeholder === 'amount_with_space_separator') {
-        thousandsSeparator = ' ';
-        decimalSeparator = ',';
-      } else if (placeholder === 'amount_with_period_and_space_separator') {
-        thousandsSeparator = ' ';
-        decimalSeparator = '.';
-      } else if (placeholder === 'amount_with_apostrophe_separator') {
-        thousandsSeparator = "'";
-        decimalSeparator = '.';
-      }
-
-      return this.#formatCents(moneyValue, thousandsSeparator, decimalSeparator, precision);
-    });
-  }
-
-  /**
-   * Formats money in cents
-   * @param {number} moneyValue - The money value in cents (hundredths of one major currency unit)
-   * @param {string} thousandsSeparator - The thousands separator
-   * @param {string} decimalSeparator - The decimal separator
-   * @param {number} precision - The precision
-   * @returns {string} The formatted money value
-   */
-  #formatCents(moneyValue, thousandsSeparator, decimalSeparator, precision) {
-    const roundedNumber = (moneyValue / 100).toFixed(precision);
-
-    let [a, b] = roundedNumber.split('.');
-    if (!a) a = '0';
-    if (!b) b = '';
-
-    // Split by groups of 3 digits
-    a = a.replace(/\d(?=(\d\d\d)+(?!\d))/g, (digit) => digit + thousandsSeparator);
+    const { moneyFormat, currency } = this.refs.facetStatus.dataset;
 
-    return precision <= 0 ? a : a + decimalSeparator + b.padEnd(precision, '0');
+    return money.format(moneyValue, { format: moneyFormat || '{{amount}}', currency: currency || undefined });
   }
 
   /**
@@ -722,56 +729,3 @@ class FacetStatusComponent extends Component {
 if (!customElements.get('facet-status-component')) {
   customElements.define('facet-status-component', FacetStatusComponent);
 }
-
-/**
- * Default currency decimals used in most currenies
- * @constant {number}
- */
-const DEFAULT_CURRENCY_DECIMALS = 2;
-
-/**
- * Decimal precision for currencies that have a non-default precision
- * @type {Record<string, number>}
- */
-const CURRENCY_DECIMALS = {
-  BHD: 3,
-  BIF: 0,
-  BYR: 0,
-  CLF: 4,
-  CLP: 0,
-  DJF: 0,
-  GNF: 0,
-  IQD: 3,
-  ISK: 0,
-  JOD: 3,
-  JPY: 0,
-  KMF: 0,
-  KRW: 0,
-  KWD: 3,
-  LYD: 3,
-  MRO: 5,
-  OMR: 3,
-  PYG: 0,
-  RWF: 0,
-  TND: 3,
-  UGX: 0,
-  UYI: 0,
-  UYW: 4,
-  VND: 0,
-  VUV: 0,
-  XAF: 0,
-  XAG: 0,
-  XAU: 0,
-  XBA: 0,
-  XBB: 0,
-  XBC: 0,
-  XBD: 0,
-  XDR: 0,
-  XOF: 0,
-  XPD: 0,
-  XPF: 0,
-  XPT: 0,
-  XSU: 0,
-  XTS: 0,
-  XUA: 0,
-};
@@ -13,10 +13,25 @@ declare global {
     loadFeatures(features: ShopifyFeature[], callback?: LoadCallback): void;
     ModelViewerUI?: ModelViewer;
     visualPreviewMode: boolean;
+    customerPrivacy?: CustomerPrivacy;
+    analytics?: {
+      publish(name: string, payload: Record<string, any>): void;
+    };
+  }
+
+  // Refer to https://shopify.dev/docs/api/customer-privacy
+  interface CustomerPrivacy {
+    analyticsProcessingAllowed(): boolean;
+  }
+
+  /** A namespaced translation bundle. Pluralized translations have a form per plural category. */
+  interface Translations {
+    [key: string]: string | Translations | Record<string, string | null>;
   }
 
   interface Theme {
-    translations: Record<string, string>;
+    translations: Translations;
+    t?: typeof import('./translations').t;
     placeholders: {
       general: string[];
       product: string[];
@@ -25,10 +40,12 @@ declare global {
       root: string;
       cart_add_url: string;
       cart_change_url: string;
+      cart_clear_url: string;
       cart_update_url: string;
       cart_url: string;
       predictive_search_url: string;
       search_url: string;
+      assets_url: string;
     };
     utilities: {
       scheduler: {
@@ -38,10 +55,21 @@ declare global {
     template: {
       name: string;
     };
+    money: {
+      format: string;
+    };
+    settings: {
+      analytics_sink: 'none' | 'data_layer' | 'shopify' | 'custom';
+      performance_endpoint: string | null;
+    };
+    events: typeof import('./events').themeEvents;
+    analytics?: typeof import('./analytics').analytics;
+    errors?: typeof import('./errors').errorCollector;
   }
 
   interface Window {
     Shopify: Shopify;
+    dataLayer?: Record<string, any>[];
   }
 
   declare const Shopify: Shopify;
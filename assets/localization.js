@@ -1,5 +1,6 @@
 import { Component } from '@theme/component';
 import { isClickedOutside, normalizeString, onAnimationEnd } from '@theme/utilities';
+import { t } from '@theme/translations';
 
 /**
  * A custom element that displays a localization form.
@@ -262,7 +263,6 @@ class LocalizationFormComponent extends Component {
   filterCountries() {
     const { countryList, countryListItems, liveRegion, noResultsMessage, popularCountries, resetButton, search } =
       this.refs;
-    const { labelResultsCount } = this.dataset;
     const searchValue = normalizeString(search.value);
     let countVisibleCountries = 0;
 
@@ -302,8 +302,8 @@ class LocalizationFormComponent extends Component {
       }
     }
 
-    if (liveRegion && labelResultsCount) {
-      liveRegion.innerText = labelResultsCount.replace('[count]', `${countVisibleCountries}`);
+    if (liveRegion) {
+      liveRegion.innerText = t('accessibility.country_results_count', { count: countVisibleCountries });
     }
 
     noResultsMessage.hidden = countVisibleCountries > 0;
@@ -17,9 +17,7 @@ const ANIMATION_OPTIONS = {
 class MarqueeComponent extends Component {
   requiredRefs = ['wrapper', 'content'];
 
-  connectedCallback() {
-    super.connectedCallback();
-
+  hydratedCallback() {
     this.#addRepeatedItems();
     this.#duplicateContent();
     this.#setSpeed();
@@ -0,0 +1,219 @@
+/**
+ * @typedef {Object} FormatOptions
+ * @property {string} [format] - A Shopify money format, e.g. `${{amount}}`. Defaults to the shop's money format.
+ * @property {string} [currency] - The ISO code of the currency. Defaults to the active currency.
+ */
+
+/**
+ * Formats an amount in cents, like the `money` liquid filters.
+ *
+ * Supports every placeholder of Shopify money formats. Without a money format, the amount is formatted for the
+ * current locale with `Intl.NumberFormat`. Money formats can contain HTML, which is stripped so the amount can be
+ * rendered with `textContent`.
+ *
+ * @example
+ * format(123456, { format: '{{amount_with_comma_separator}} €', currency: 'EUR' }); // '1.234,56 €'
+ *
+ * @param {number} cents - The amount in cents (hundredths of one major currency unit)
+ * @param {FormatOptions} [options] - The options
+ * @returns {string} The formatted amount
+ */
+export function format(cents, { format = Theme.money.format, currency = Shopify.currency.active } = {}) {
+  const precision = CURRENCY_DECIMALS[currency.toUpperCase()] ?? DEFAULT_CURRENCY_DECIMALS;
+  const template = format && toText(format);
+
+  if (!template) {
+    return new Intl.NumberFormat(Shopify.locale, {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: precision,
+      maximumFractionDigits: precision,
+    }).format(cents / 100);
+  }
+
+  return template.replace(/{{\s*(\w+)\s*}}/g, (_, placeholder) => {
+    if (typeof placeholder !== 'string') return '';
+    if (placeholder === 'currency') return currency;
+
+    const separators = AMOUNT_SEPARATORS[placeholder] ?? DEFAULT_AMOUNT_SEPARATORS;
+    const amountPrecision = placeholder.startsWith('amount_no_decimals') ? 0 : precision;
+
+    return formatAmount(cents, separators.thousands, separators.decimal, amountPrecision);
+  });
+}
+
+/**
+ * Formats an amount in cents without the currency symbol, like the `money_without_currency` liquid filter
+ *
+ * @example
+ * formatWithoutCurrency(123456, { format: '{{amount_with_comma_separator}} €', currency: 'EUR' }); // '1.234,56'
+ *
+ * @param {number} cents - The amount in cents (hundredths of one major currency unit)
+ * @param {FormatOptions} [options] - The options
+ * @returns {string} The formatted amount
+ */
+export function formatWithoutCurrency(cents, { format: moneyFormat = Theme.money.format, currency } = {}) {
+  const amountPlaceholder = moneyFormat?.match(/{{\s*amount\w*\s*}}/)?.[0] ?? '{{amount}}';
+
+  return format(cents, { format: amountPlaceholder, currency });
+}
+
+/**
+ * Parses an amount typed by a visitor or formatted with a money format, e.g. `1.234,56` or `1,234.56`
+ *
+ * The decimal separator of the locale is preferred. Other separators are only considered decimal separators when
+ * they appear once and aren't followed by exactly 3 digits, so `1,234` is a thousand in English.
+ *
+ * @param {string} value - The amount
+ * @param {string} [locale] - The locale the amount was typed in. Defaults to the current locale.
+ * @returns {number} The amount in cents, or `NaN` if the value isn't a number
+ */
+export function parse(value, locale = Shopify.locale) {
+  const amount = value.replace(/[^\d.,'\s-]/g, '').trim();
+  const separators = Array.from(amount.match(/[.,'\s]/g) ?? []);
+  const lastSeparator = separators[separators.length - 1];
+
+  let whole = amount;
+  let fraction = '';
+
+  if (lastSeparator) {
+    const index = amount.lastIndexOf(lastSeparator);
+    const digitsAfter = amount.slice(index + 1);
+    const isDecimal =
+      lastSeparator === getDecimalSeparator(locale) ||
+      (separators.indexOf(lastSeparator) === separators.length - 1 && digitsAfter.length !== 3);
+
+    if (isDecimal) {
+      whole = amount.slice(0, index);
+      fraction = digitsAfter;
+    }
+  }
+
+  const number = Number(`${whole.replace(/[^\d-]/g, '') || '0'}.${fraction.replace(/\D/g, '') || '0'}`);
+  if (!/\d/.test(amount) || Number.isNaN(number)) return NaN;
+
+  return Math.round(number * 100);
+}
+
+/**
+ * Formats an amount in cents with the given separators
+ * @param {number} cents - The amount in cents
+ * @param {string} thousandsSeparator - The thousands separator
+ * @param {string} decimalSeparator - The decimal separator
+ * @param {number} precision - The number of decimals
+ * @returns {string} The formatted amount
+ */
+function formatAmount(cents, thousandsSeparator, decimalSeparator, precision) {
+  const parts = new Intl.NumberFormat('en-US', {
+    minimumFractionDigits: precision,
+    maximumFractionDigits: precision,
+  }).formatToParts(cents / 100);
+
+  return parts
+    .map(({ type, value }) => {
+      if (type === 'group') return thousandsSeparator;
+      if (type === 'decimal') return decimalSeparator;
+      return value;
+    })
+    .join('');
+}
+
+/**
+ * Gets the text of an HTML string, e.g. `€{{amount}}` for `<span class="money">&euro;{{amount}}</span>`
+ * @param {string} html - The HTML string
+ * @returns {string} The text
+ */
+function toText(html) {
+  if (!/[<&]/.test(html)) return html;
+
+  return new DOMParser().parseFromString(html, 'text/html').body.textContent ?? '';
+}
+
+/**
+ * Gets the decimal separator of a locale
+ * @param {string} locale - The locale
+ * @returns {string | undefined} The decimal separator
+ */
+function getDecimalSeparator(locale) {
+  try {
+    return new Intl.NumberFormat(locale).formatToParts(1.1).find(({ type }) => type === 'decimal')?.value;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * The separators of the `amount` placeholder, also used for unknown placeholders
+ * @constant {{ thousands: string, decimal: string }}
+ */
+const DEFAULT_AMOUNT_SEPARATORS = { thousands: ',', decimal: '.' };
+
+/**
+ * The separators of the amount placeholders of Shopify money formats
+ * @type {Record<string, { thousands: string, decimal: string }>}
+ */
+const AMOUNT_SEPARATORS = {
+  amount: DEFAULT_AMOUNT_SEPARATORS,
+  amount_no_decimals: { thousands: ',', decimal: '.' },
+  amount_with_comma_separator: { thousands: '.', decimal: ',' },
+  // Weirdly, this is correct. It uses amount_with_comma_separator's behaviour but removes decimals, resulting in an
+  // unintuitive output that can't possibly include commas, despite the name.
+  amount_no_decimals_with_comma_separator: { thousands: '.', decimal: ',' },
+  amount_no_decimals_with_space_separator: { thousands: ' ', decimal: '.' },
+  amount_with_space_separator: { thousands: ' ', decimal: ',' },
+  amount_with_period_and_space_separator: { thousands: ' ', decimal: '.' },
+  amount_with_apostrophe_separator: { thousands: "'", decimal: '.' },
+};
+
+/**
+ * Default currency decimals used in most currenies
+ * @constant {number}
+ */
+const DEFAULT_CURRENCY_DECIMALS = 2;
+
+/**
+ * Decimal precision for currencies that have a non-default precision
+ * @type {Record<string, number>}
+ */
+const CURRENCY_DECIMALS = {
+  BHD: 3,
+  BIF: 0,
+  BYR: 0,
+  CLF: 4,
+  CLP: 0,
+  DJF: 0,
+  GNF: 0,
+  IQD: 3,
+  ISK: 0,
+  JOD: 3,
+  JPY: 0,
+  KMF: 0,
+  KRW: 0,
+  KWD: 3,
+  LYD: 3,
+  MRO: 5,
+  OMR: 3,
+  PYG: 0,
+  RWF: 0,
+  TND: 3,
+  UGX: 0,
+  UYI: 0,
+  UYW: 4,
+  VND: 0,
+  VUV: 0,
+  XAF: 0,
+  XAG: 0,
+  XAU: 0,
+  XBA: 0,
+  XBB: 0,
+  XBC: 0,
+  XBD: 0,
+  XDR: 0,
+  XOF: 0,
+  XPD: 0,
+  XPF: 0,
+  XPT: 0,
+  XSU: 0,
+  XTS: 0,
+  XUA: 0,
+};
@@ -4,11 +4,38 @@ import { Component } from '@theme/component';
  * @typedef {Object} Options
  * @property {boolean} [childrenOnly] - Only update children
  * @property {(node: Node | undefined) => string|number|undefined} [getNodeKey] - Get node key for matching
+ * @property {string[]} [keyAttributes] - The attributes keying list items, defaults to `data-key` and `data-cart-line-key`
  * @property {(oldNode: Node, newNode: Node) => void} [onBeforeUpdate] - Pre-update hook
  * @property {(node: Node) => void} [onAfterUpdate] - Post-update hook
  * @property {(oldNode: Node, newNode: Node) => boolean} [reject] - Reject a node from being morphed
+ * @property {boolean} [preserveState] - Restore focus, text selection and the scroll positions of the root and its `[data-preserve-scroll]` elements after the morph, defaults to true
  */
 
+/**
+ * @typedef {Object} NodeLocator
+ * @property {Element} element - The element before the morph
+ * @property {string|number|undefined} key - The element's key
+ * @property {number[]} path - The indexes of the element and its ancestors among their siblings, from the root down
+ */
+
+/**
+ * @typedef {Object} PreservedState
+ * @property {(NodeLocator & { selection: [number, number, SelectionDirection] | null }) | null} focus - The focused element and its text selection
+ * @property {(NodeLocator & { top: number, left: number })[]} scroll - The scrolled elements and their offsets
+ */
+
+/**
+ * @typedef {'forward' | 'backward' | 'none'} SelectionDirection
+ */
+
+/**
+ * The attributes keying list items, in order of precedence.
+ * List items are moved rather than patched when a list is reordered, and dropped when they're no longer in the list.
+ * Other attributes can be opted in with the `keyAttributes` option.
+ * @type {string[]}
+ */
+const KEY_ATTRIBUTES = ['data-key', 'data-cart-line-key'];
+
 /**
  * The options for the morph
  * @type {Options}
@@ -71,7 +98,7 @@ const MORPH_OPTIONS = {
     }
   },
   onAfterUpdate(node) {
-    if (node instanceof Component) {
+    if (node instanceof Component && node.hydrated) {
       queueMicrotask(() => node.updatedCallback());
     }
   },
@@ -97,16 +124,145 @@ export function morph(oldTree, newTree, options = MORPH_OPTIONS) {
     newTree = parsedNewTree;
   }
 
+  if (newTree.nodeType === 11 && !options.childrenOnly) {
+    throw new Error('newTree should have one root node (not a DocumentFragment)');
+  }
+
+  const preservedState = options.preserveState === false ? null : captureState(oldTree, options);
+
+  let morphed = oldTree;
   if (options.childrenOnly) {
     updateChildren(newTree, oldTree, options);
-    return oldTree;
+  } else {
+    morphed = walk(newTree, oldTree, options);
   }
 
-  if (newTree.nodeType === 11) {
-    throw new Error('newTree should have one root node (not a DocumentFragment)');
+  // A replaced root isn't in the document yet, so there's nothing to restore
+  if (preservedState && morphed === oldTree) restoreState(oldTree, preservedState, options);
+
+  return morphed;
+}
+
+/**
+ * Records the focused element, its text selection and the scroll offsets of the tree and its scroll containers.
+ * Reading a scroll offset can force a layout, so only the containers marked with `data-preserve-scroll` are read.
+ * @param {Node} root - The tree about to be morphed
+ * @param {Options} options - The options object
+ * @returns {PreservedState} The state to restore after the morph
+ */
+function captureState(root, options) {
+  /** @type {PreservedState} */
+  const state = { focus: null, scroll: [] };
+
+  const { activeElement } = document;
+  if (activeElement && activeElement !== root && root.contains(activeElement)) {
+    state.focus = { ...locateNode(activeElement, root, options), selection: getSelection(activeElement) };
+  }
+
+  if (root instanceof Element) {
+    for (const element of [root, ...root.querySelectorAll('[data-preserve-scroll]')]) {
+      if (element.scrollTop === 0 && element.scrollLeft === 0) continue;
+
+      state.scroll.push({ ...locateNode(element, root, options), top: element.scrollTop, left: element.scrollLeft });
+    }
+  }
+
+  return state;
+}
+
+/**
+ * Restores the focus, text selection and scroll offsets recorded before a morph
+ * @param {Node} root - The morphed tree
+ * @param {PreservedState} state - The recorded state
+ * @param {Options} options - The options object
+ */
+function restoreState(root, state, options) {
+  for (const { top, left, ...locator } of state.scroll) {
+    const element = findNode(locator, root, options);
+    if (!element) continue;
+
+    if (element.scrollTop !== top) element.scrollTop = top;
+    if (element.scrollLeft !== left) element.scrollLeft = left;
+  }
+
+  if (!state.focus) return;
+
+  const { selection, ...locator } = state.focus;
+  const element = findNode(locator, root, options);
+  if (!(element instanceof HTMLElement) || element.matches(':disabled')) return;
+
+  if (document.activeElement !== element) element.focus({ preventScroll: true });
+
+  if (selection && (element instanceof HTMLInputElement || element instanceof HTMLTextAreaElement)) {
+    try {
+      element.setSelectionRange(...selection);
+    } catch {
+      // The input type doesn't support selection
+    }
+  }
+}
+
+/**
+ * Describes how to find an element again after a morph
+ * @param {Element} element - The element
+ * @param {Node} root - The morphed tree
+ * @param {Options} options - The options object
+ * @returns {NodeLocator} The locator
+ */
+function locateNode(element, root, options) {
+  const path = [];
+
+  for (let node = element; node !== root && node.parentElement; node = node.parentElement) {
+    path.unshift(Array.prototype.indexOf.call(node.parentElement.children, node));
   }
 
-  return walk(newTree, oldTree, options);
+  return { element, key: getNodeKey(element, options), path };
+}
+
+/**
+ * Finds an element after a morph: the same node if it was kept, otherwise the element with the same key or path
+ * @param {NodeLocator} locator - The locator
+ * @param {Node} root - The morphed tree
+ * @param {Options} options - The options object
+ * @returns {Element | null} The element
+ */
+function findNode({ element, key, path }, root, options) {
+  if (element === root || (element.isConnected && root.contains(element))) return element;
+  if (!(root instanceof Element)) return null;
+
+  if (key) {
+    for (const candidate of root.getElementsByTagName(element.tagName)) {
+      if (getNodeKey(candidate, options) === key) return candidate;
+    }
+  }
+
+  /** @type {Element | undefined} */
+  let node = root;
+  for (const index of path) {
+    node = node.children[index];
+    if (!node) return null;
+  }
+
+  return node.tagName === element.tagName ? node : null;
+}
+
+/**
+ * Gets the text selection of a form field
+ * @param {Element} element - The element
+ * @returns {[number, number, SelectionDirection] | null} The selection start, end and direction
+ */
+function getSelection(element) {
+  if (!(element instanceof HTMLInputElement || element instanceof HTMLTextAreaElement)) return null;
+
+  try {
+    const { selectionStart, selectionEnd, selectionDirection } = element;
+    if (selectionStart === null || selectionEnd === null) return null;
+
+    return [selectionStart, selectionEnd, selectionDirection ?? 'none'];
+  } catch {
+    // The input type doesn't support selection
+    return null;
+  }
 }
 
 /**
@@ -213,7 +369,25 @@ function updateNode(newNode, oldNode, options) {
  * @returns {string|number|undefined} The node's key if one exists
  */
 function getNodeKey(node, options) {
-  return options?.getNodeKey?.(node) ?? (node instanceof Element ? node.id : undefined);
+  return getListKey(node, options) ?? (node instanceof Element ? node.id || undefined : undefined);
+}
+
+/**
+ * Gets the key of a list item, from the getNodeKey option or else the first key attribute it has
+ * @param {Node | undefined} node - The node to get the key from
+ * @param {Options} [options] - The options object that may contain getNodeKey or keyAttributes
+ * @returns {string|number|undefined} The node's key if it's a list item
+ */
+function getListKey(node, options) {
+  if (options?.getNodeKey) return options.getNodeKey(node);
+  if (!(node instanceof Element)) return undefined;
+
+  for (const attribute of options?.keyAttributes ?? KEY_ATTRIBUTES) {
+    const key = node.getAttribute(attribute);
+    if (key) return key;
+  }
+
+  return undefined;
 }
 
 /**
@@ -365,7 +539,9 @@ function updateChildren(newNode, oldNode, options) {
     return;
   }
 
-  let oldChild, newChild, morphed, oldMatch;
+  const newKeys = reorderKeyedChildren(newNode, oldNode, options);
+
+  let oldChild, newChild, morphed, oldMatch, newKey;
   let offset = 0;
 
   for (let i = 0; ; i++) {
@@ -391,6 +567,14 @@ function updateChildren(newNode, oldNode, options) {
       continue;
     }
 
+    // The old child was removed from the list, drop it rather than morphing it into another node
+    const oldKey = getListKey(oldChild, options);
+    if (oldKey && !newKeys.has(oldKey)) {
+      oldNode.removeChild(oldChild);
+      i--;
+      continue;
+    }
+
     // Both nodes are the same, morph
     if (same(newChild, oldChild, options)) {
       morphed = walk(newChild, oldChild, options);
@@ -409,16 +593,25 @@ function updateChildren(newNode, oldNode, options) {
 
     // Try to find a matching node to reorder
     oldMatch = null;
+    newKey = getListKey(newChild, options);
     for (let j = i; j < oldNode.childNodes.length; j++) {
       const potentialOldNode = oldNode.childNodes[j];
 
-      if (potentialOldNode && same(potentialOldNode, newChild, options)) {
+      if (
+        potentialOldNode &&
+        getListKey(potentialOldNode, options) === newKey &&
+        same(potentialOldNode, newChild, options)
+      ) {
         oldMatch = potentialOldNode;
         break;
       }
     }
 
-    if (oldMatch) {
+    if (oldMatch && newKey && !oldKey) {
+      // Keyed children are already in order, drop the unkeyed nodes in the way instead of moving the match
+      oldNode.removeChild(oldChild);
+      i--;
+    } else if (oldMatch) {
       morphed = walk(newChild, oldMatch, options);
       if (morphed !== oldMatch) offset++;
       oldNode.insertBefore(morphed, oldChild);
@@ -437,6 +630,114 @@ function updateChildren(newNode, oldNode, options) {
   }
 }
 
+/**
+ * Moves the keyed children of the old node into the order of the new node's children.
+ * Only the children outside of the longest run already in order are moved, so most nodes keep their state.
+ * @param {Node} newNode - The new node
+ * @param {Node} oldNode - The existing node to reorder children on
+ * @param {Options} options - The options object
+ * @returns {Set<string|number>} The keys of the new node's children
+ */
+function reorderKeyedChildren(newNode, oldNode, options) {
+  /** @type {Map<string|number, ChildNode>} */
+  const oldChildrenByKey = new Map();
+  /** @type {Set<string|number>} */
+  const newKeys = new Set();
+
+  for (const child of oldNode.childNodes) {
+    const key = getListKey(child, options);
+    if (key && !oldChildrenByKey.has(key)) oldChildrenByKey.set(key, child);
+  }
+
+  /** @type {ChildNode[]} */
+  const matches = [];
+
+  for (const child of newNode.childNodes) {
+    const key = getListKey(child, options);
+    if (!key || newKeys.has(key)) continue;
+
+    newKeys.add(key);
+
+    const match = oldChildrenByKey.get(key);
+    if (match) matches.push(match);
+  }
+
+  if (matches.length < 2) return newKeys;
+
+  const oldChildren = Array.from(oldNode.childNodes);
+  const stable = longestIncreasingSubsequence(matches.map((match) => oldChildren.indexOf(match)));
+
+  // Nothing to move if every match is already in order
+  if (stable.size === matches.length) return newKeys;
+
+  const firstStable = matches.find((_, index) => stable.has(index)) ?? null;
+
+  matches.forEach((match, index) => {
+    if (stable.has(index)) return;
+
+    const previousMatch = matches[index - 1];
+    moveBefore(oldNode, match, previousMatch ? previousMatch.nextSibling : firstStable);
+  });
+
+  return newKeys;
+}
+
+/**
+ * Finds a longest increasing subsequence, in O(n log n)
+ * @param {number[]} values - The values
+ * @returns {Set<number>} The indexes of the values in the subsequence
+ */
+function longestIncreasingSubsequence(values) {
+  /** @type {number[]} The index of the smallest tail of each subsequence length */
+  const tails = [];
+  /** @type {number[]} The index of the previous value in the subsequence ending at each index */
+  const previous = [];
+
+  values.forEach((value, index) => {
+    let low = 0;
+    let high = tails.length;
+
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if ((values[tails[middle] ?? 0] ?? 0) < value) low = middle + 1;
+      else high = middle;
+    }
+
+    previous[index] = low > 0 ? (tails[low - 1] ?? -1) : -1;
+    tails[low] = index;
+  });
+
+  const subsequence = new Set();
+  for (let index = tails[tails.length - 1] ?? -1; index !== -1; index = previous[index] ?? -1) {
+    subsequence.add(index);
+  }
+
+  return subsequence;
+}
+
+/**
+ * Moves a node, keeping its state (iframes, media, focus) where the browser supports it
+ * @param {Node} parent - The parent node
+ * @param {Node} node - The node to move
+ * @param {Node | null} referenceNode - The node to move before, or `null` to move to the end
+ */
+function moveBefore(parent, node, referenceNode) {
+  if (node === referenceNode || node.nextSibling === referenceNode) return;
+
+  const stateful = /** @type {Node & { moveBefore?: (node: Node, child: Node | null) => void }} */ (parent);
+
+  if (typeof stateful.moveBefore === 'function' && node.isConnected) {
+    try {
+      stateful.moveBefore(node, referenceNode);
+      return;
+    } catch {
+      // Fall back to a regular insertion, e.g. when the node is moved across documents
+    }
+  }
+
+  parent.insertBefore(node, referenceNode);
+}
+
 /**
  * Check if two nodes are the same
  * @param {Node} a - The first node
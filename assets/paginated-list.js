@@ -1,6 +1,8 @@
 import { Component } from '@theme/component';
-import { sectionRenderer } from '@theme/section-renderer';
+import { SectionRenderError, sectionRenderer, showRenderErrorRecovery } from '@theme/section-renderer';
+import { sectionHistory } from '@theme/section-history';
 import { requestIdleCallback, viewTransition } from '@theme/utilities';
+import { t } from '@theme/translations';
 
 /**
  * A custom element that renders a paginated list of items.
@@ -35,6 +37,7 @@ export default class PaginatedList extends Component {
     super.connectedCallback();
 
     this.#storeImageRatioSettings();
+    sectionHistory.track(this.sectionId);
 
     this.#fetchPage('next');
     this.#fetchPage('previous');
@@ -115,7 +118,16 @@ export default class PaginatedList extends Component {
 
     if (!page || !this.#shouldUsePage(page)) return;
 
-    this.pages.set(page.page, await sectionRenderer.getSectionHTML(this.sectionId, true, page.url));
+    try {
+      this.pages.set(page.page, await sectionRenderer.getSectionHTML(this.sectionId, true, page.url));
+    } catch (error) {
+      if (!(error instanceof SectionRenderError)) throw error;
+
+      // Rendering the page waits until the retry succeeds
+      showRenderErrorRecovery(this, () => this.#fetchPage(type), type === 'next' ? 'beforeend' : 'afterbegin');
+      return;
+    }
+
     if (type === 'next') {
       this.#resolveNextPagePromise?.();
       this.#resolveNextPagePromise = null;
@@ -147,8 +159,9 @@ export default class PaginatedList extends Component {
     grid.append(...nextPageItemElements);
 
     this.#processNewElements();
+    this.#announceLoadedItems(nextPageItemElements.length);
 
-    history.pushState('', '', nextPage.url.toString());
+    sectionHistory.replace(this.sectionId, nextPage.url, 'pagination');
 
     requestIdleCallback(() => {
       this.#fetchPage('next');
@@ -182,8 +195,9 @@ export default class PaginatedList extends Component {
     grid.prepend(...previousPageItemElements);
 
     this.#processNewElements();
+    this.#announceLoadedItems(previousPageItemElements.length);
 
-    history.pushState('', '', previousPage.url.toString());
+    sectionHistory.replace(this.sectionId, previousPage.url, 'pagination');
 
     // Calculate and adjust scroll position to maintain the same view
     if (firstElement) {
@@ -200,6 +214,28 @@ export default class PaginatedList extends Component {
     });
   }
 
+  /**
+   * Tells screen reader users that more items were loaded, since infinite scrolling gives no other cue
+   * @param {number} count - The number of loaded items
+   */
+  #announceLoadedItems(count) {
+    const message = t('accessibility.products_loaded', { count });
+    const liveRegion = this.querySelector(':scope > .paginated-list__live-region');
+
+    if (liveRegion) {
+      liveRegion.textContent = message;
+      return;
+    }
+
+    const newLiveRegion = document.createElement('p');
+    newLiveRegion.className = 'paginated-list__live-region visually-hidden';
+    newLiveRegion.setAttribute('role', 'status');
+    this.append(newLiveRegion);
+
+    // Screen readers ignore the content of live regions that are added along with it
+    setTimeout(() => (newLiveRegion.textContent = message), 100);
+  }
+
   /**
    * Process newly added elements and apply correct aspect ratios
    */
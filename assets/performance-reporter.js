@@ -0,0 +1,289 @@
+import { ThemePerformance } from '@theme/performance';
+
+/**
+ * @typedef {Object} PerformanceMetric
+ * @property {string} name - The metric name, e.g. `LCP` or `cart-performance:add:user-action`
+ * @property {number} value - The metric value, in milliseconds except for CLS
+ * @property {number} [startTime] - When the metric was recorded, relative to the navigation start
+ */
+
+/**
+ * The number of metrics that triggers sending a batch before the page is hidden
+ * @constant {number}
+ */
+const MAX_BATCH_SIZE = 20;
+
+/**
+ * The minimum duration (in milliseconds) of the interactions observed for INP
+ * @constant {number}
+ */
+const INTERACTION_THRESHOLD = 40;
+
+/**
+ * The number of longest interactions kept for INP, which drops one outlier per 50 interactions
+ * @constant {number}
+ */
+const MAX_LONGEST_INTERACTIONS = 10;
+
+/**
+ * The gap and maximum duration (in milliseconds) of the layout shift session windows used for CLS
+ * @constant {{ gap: number, duration: number }}
+ */
+const LAYOUT_SHIFT_WINDOW = { gap: 1000, duration: 5000 };
+
+/**
+ * A class to report performance metrics from real visitors.
+ *
+ * Collects the theme metrics recorded with `ThemePerformance`, the Core Web Vitals (LCP, INP, CLS) and long tasks,
+ * and sends them in batches with `navigator.sendBeacon` to the endpoint set in the theme settings.
+ */
+class PerformanceReporter {
+  /**
+   * The URL the metrics are sent to
+   * @type {string}
+   */
+  #endpoint;
+
+  /**
+   * The metrics waiting to be sent
+   * @type {PerformanceMetric[]}
+   */
+  #batch = [];
+
+  /**
+   * The render time of the latest largest contentful paint
+   * @type {number | null}
+   */
+  #largestContentfulPaint = null;
+
+  /**
+   * The longest interactions, longest first
+   * @type {{ id: number, duration: number }[]}
+   */
+  #longestInteractions = [];
+
+  /**
+   * The number of interactions observed, for browsers without `performance.interactionCount`
+   * @type {number}
+   */
+  #interactionCount = 0;
+
+  /**
+   * The number of interactions when INP was last reported
+   * @type {number}
+   */
+  #reportedInteractionCount = 0;
+
+  /**
+   * The largest layout shift session window value
+   * @type {number}
+   */
+  #cumulativeLayoutShift = 0;
+
+  /**
+   * The layout shifts of the current session window
+   * @type {{ value: number, startTime: number }[]}
+   */
+  #layoutShiftWindow = [];
+
+  /**
+   * @param {string} endpoint - The URL the metrics are sent to
+   */
+  constructor(endpoint) {
+    this.#endpoint = endpoint;
+
+    this.#observe('measure', this.#handleMeasures);
+    this.#observe('longtask', this.#handleLongTasks);
+    this.#observe('largest-contentful-paint', this.#handleLargestContentfulPaint);
+    this.#observe('layout-shift', this.#handleLayoutShifts);
+    this.#observe('event', this.#handleInteractions, { durationThreshold: INTERACTION_THRESHOLD });
+
+    // The page might never become visible again, so this is the last reliable moment to send the metrics
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') this.#flush(true);
+    });
+    window.addEventListener('pagehide', () => this.#flush(true));
+  }
+
+  /**
+   * Adds a metric to the next batch
+   * @param {PerformanceMetric} metric - The metric
+   */
+  report(metric) {
+    this.#batch.push(metric);
+
+    if (this.#batch.length >= MAX_BATCH_SIZE) this.#flush();
+  }
+
+  /**
+   * Observes a type of performance entries, including the entries recorded before the reporter loaded
+   * @param {string} type - The entry type
+   * @param {(entries: PerformanceEntryList) => void} callback - The callback receiving the entries
+   * @param {Record<string, number>} [options] - Additional observer options
+   */
+  #observe(type, callback, options = {}) {
+    if (!PerformanceObserver.supportedEntryTypes?.includes(type)) return;
+
+    const observer = new PerformanceObserver((list) => callback(list.getEntries()));
+
+    observer.observe({ type, buffered: true, ...options });
+  }
+
+  /**
+   * Sends the pending metrics
+   * @param {boolean} [final] - Whether the page is being hidden, which finalizes the Core Web Vitals
+   */
+  #flush(final = false) {
+    if (final) this.#reportWebVitals();
+    if (!this.#batch.length) return;
+
+    const payload = JSON.stringify({
+      url: window.location.pathname,
+      template: Theme.template.name,
+      metrics: this.#batch.splice(0),
+    });
+
+    // Sent as text/plain so the request doesn't need a CORS preflight
+    if (!navigator.sendBeacon?.(this.#endpoint, payload)) {
+      fetch(this.#endpoint, { method: 'POST', body: payload, keepalive: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Adds the Core Web Vitals to the batch. Their values keep changing until the page is hidden, so they are only
+   * reported then, and reset so they aren't reported twice if the visitor comes back to the page.
+   */
+  #reportWebVitals() {
+    if (this.#largestContentfulPaint !== null) {
+      this.#batch.push({ name: 'LCP', value: this.#largestContentfulPaint });
+      this.#largestContentfulPaint = null;
+    }
+
+    const interactionToNextPaint = this.#getInteractionToNextPaint();
+    if (interactionToNextPaint !== null) {
+      this.#batch.push({ name: 'INP', value: interactionToNextPaint });
+      this.#longestInteractions = [];
+      this.#reportedInteractionCount = this.#getInteractionCount();
+    }
+
+    if (this.#cumulativeLayoutShift > 0) {
+      this.#batch.push({ name: 'CLS', value: this.#cumulativeLayoutShift });
+      this.#cumulativeLayoutShift = 0;
+      this.#layoutShiftWindow = [];
+    }
+  }
+
+  /**
+   * @param {PerformanceEntryList} entries - The measure entries
+   */
+  #handleMeasures = (entries) => {
+    for (const { name, duration, startTime } of entries) {
+      const prefix = name.split(':')[0];
+      if (!prefix || !ThemePerformance.metricPrefixes.has(prefix)) continue;
+
+      this.report({ name, value: Math.round(duration), startTime: Math.round(startTime) });
+    }
+  };
+
+  /**
+   * @param {PerformanceEntryList} entries - The long task entries
+   */
+  #handleLongTasks = (entries) => {
+    for (const { duration, startTime } of entries) {
+      this.report({ name: 'long-task', value: Math.round(duration), startTime: Math.round(startTime) });
+    }
+  };
+
+  /**
+   * @param {PerformanceEntryList} entries - The largest contentful paint entries
+   */
+  #handleLargestContentfulPaint = (entries) => {
+    const lastEntry = entries[entries.length - 1];
+    if (lastEntry) this.#largestContentfulPaint = Math.round(lastEntry.startTime);
+  };
+
+  /**
+   * @param {PerformanceEntryList} entries - The event timing entries
+   */
+  #handleInteractions = (entries) => {
+    for (const entry of /** @type {EventTiming[]} */ (entries)) {
+      // Only the events that are part of a user interaction (clicks, taps, key presses) count towards INP
+      if (!entry.interactionId) continue;
+
+      const duration = Math.round(entry.duration);
+      const interaction = this.#longestInteractions.find(({ id }) => id === entry.interactionId);
+
+      // An interaction is made of several events, like `pointerdown`, `pointerup` and `click`
+      if (interaction) {
+        interaction.duration = Math.max(interaction.duration, duration);
+      } else {
+        this.#interactionCount++;
+        this.#longestInteractions.push({ id: entry.interactionId, duration });
+      }
+
+      this.#longestInteractions.sort((a, b) => b.duration - a.duration);
+      this.#longestInteractions.splice(MAX_LONGEST_INTERACTIONS);
+    }
+  };
+
+  /**
+   * Gets the INP: the longest interaction, ignoring one outlier per 50 interactions, about the 98th percentile
+   * @returns {number | null} The duration in milliseconds, or null without interactions
+   */
+  #getInteractionToNextPaint() {
+    const interactionCount = this.#getInteractionCount() - this.#reportedInteractionCount;
+    const index = Math.min(this.#longestInteractions.length - 1, Math.floor(interactionCount / 50));
+
+    return this.#longestInteractions[index]?.duration ?? null;
+  }
+
+  /**
+   * Gets the number of interactions on the page, including the ones too short to be observed when supported
+   * @returns {number}
+   */
+  #getInteractionCount() {
+    return (
+      /** @type {Performance & { interactionCount?: number }} */ (performance).interactionCount ??
+      this.#interactionCount
+    );
+  }
+
+  /**
+   * Groups layout shifts in session windows and keeps the largest window, as defined for CLS
+   * @param {PerformanceEntryList} entries - The layout shift entries
+   */
+  #handleLayoutShifts = (entries) => {
+    for (const entry of /** @type {LayoutShift[]} */ (entries)) {
+      if (entry.hadRecentInput) continue;
+
+      const firstShift = this.#layoutShiftWindow[0];
+      const lastShift = this.#layoutShiftWindow[this.#layoutShiftWindow.length - 1];
+
+      if (
+        firstShift &&
+        lastShift &&
+        (entry.startTime - lastShift.startTime > LAYOUT_SHIFT_WINDOW.gap ||
+          entry.startTime - firstShift.startTime > LAYOUT_SHIFT_WINDOW.duration)
+      ) {
+        this.#layoutShiftWindow = [];
+      }
+
+      this.#layoutShiftWindow.push({ value: entry.value, startTime: entry.startTime });
+
+      const windowValue = this.#layoutShiftWindow.reduce((total, { value }) => total + value, 0);
+      this.#cumulativeLayoutShift = Math.max(this.#cumulativeLayoutShift, windowValue);
+    }
+  };
+}
+
+/**
+ * @typedef {PerformanceEntry & { value: number, hadRecentInput: boolean }} LayoutShift
+ */
+
+/**
+ * @typedef {PerformanceEventTiming & { interactionId?: number }} EventTiming
+ */
+
+export const performanceReporter = Theme.settings.performance_endpoint
+  ? new PerformanceReporter(Theme.settings.performance_endpoint)
+  : null;
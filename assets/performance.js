@@ -1,10 +1,17 @@
 
-class ThemePerformance {
+export class ThemePerformance {
+  /**
+   * The prefixes of all the theme metrics, used to tell them apart from other measures in the performance timeline
+   * @type {Set<string>}
+   */
+  static metricPrefixes = new Set();
+
   /**
    * @param {string} metricPrefix
    */
   constructor(metricPrefix) {
     this.metricPrefix = metricPrefix;
+    ThemePerformance.metricPrefixes.add(metricPrefix);
   }
 
   /**
@@ -65,7 +72,7 @@ class ThemePerformance {
     performance.mark(`${metricName}:end`);
 
     performance.measure(
-      benchmarkName,
+      metricName,
       `${metricName}:start`,
       `${metricName}:end`
     );
@@ -73,3 +80,4 @@ class ThemePerformance {
 }
 
 export const cartPerformance = new ThemePerformance('cart-performance');
+export const interactionPerformance = new ThemePerformance('interaction-performance');
@@ -1,4 +1,5 @@
 import { preloadImage } from '@theme/utilities';
+import { t } from '@theme/translations';
 
 /** @type {Record<string, number>} */
 const cache = {};
@@ -33,7 +34,7 @@ class PlaceholderImage extends HTMLElement {
       const image = Theme.placeholders[type][cached];
       const imageElement = document.createElement('img');
       imageElement.src = image;
-      imageElement.alt = Theme.translations.placeholder_image || 'Placeholder Image';
+      imageElement.alt = t('content.placeholder_image');
       this.appendChild(imageElement);
       return;
     }
@@ -46,7 +47,7 @@ class PlaceholderImage extends HTMLElement {
 
     const imageElement = document.createElement('img');
     imageElement.src = image;
-    imageElement.alt = Theme.translations.placeholder_image || 'Placeholder Image';
+    imageElement.alt = t('content.placeholder_image');
     this.appendChild(imageElement);
     cache[blockId] = counter;
   }
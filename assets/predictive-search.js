@@ -1,8 +1,9 @@
 import { Component } from '@theme/component';
 import { debounce, onAnimationEnd, prefersReducedMotion } from '@theme/utilities';
-import { sectionRenderer } from '@theme/section-renderer';
+import { SectionRenderError, sectionRenderer, showRenderErrorRecovery } from '@theme/section-renderer';
 import { morph } from '@theme/morph';
-import { ThemeEvents } from '@theme/events';
+import { interactionPerformance } from '@theme/performance';
+import { PredictiveSearchEvent, ThemeEvents } from '@theme/events';
 import { RecentlyViewed } from '@theme/recently-viewed-products';
 import { DialogCloseEvent, DialogComponent } from '@theme/dialog';
 
@@ -330,6 +331,7 @@ class PredictiveSearchComponent extends Component {
     const { predictiveSearchResults } = this.refs;
 
     const abortController = this.#createAbortController();
+    const startMarker = interactionPerformance.createStartingMarker('predictive-search');
 
     sectionRenderer
       .getSectionHTML(this.dataset.sectionId, false, url)
@@ -341,10 +343,14 @@ class PredictiveSearchComponent extends Component {
         morph(predictiveSearchResults, resultsMarkup);
 
         this.#resetScrollPositions();
+        this.dispatchEvent(new PredictiveSearchEvent(searchTerm));
+        interactionPerformance.measureFromMarker(startMarker);
       })
       .catch((error) => {
         if (abortController.signal.aborted) return;
-        throw error;
+        if (!(error instanceof SectionRenderError)) throw error;
+
+        showRenderErrorRecovery(predictiveSearchResults, () => this.#getSearchResults(searchTerm));
       });
   }
 
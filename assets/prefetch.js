@@ -0,0 +1,219 @@
+import { ThemeEvents } from '@theme/events';
+import { requestIdleCallback } from '@theme/utilities';
+
+/**
+ * The links prefetched when they enter the viewport or are hovered
+ * @constant {string}
+ */
+const LINK_SELECTOR = [
+  'a[ref="productCardLink"]',
+  'a.collection-card__link',
+  'a.collection-links__link',
+  'a.collection-links__image',
+  'a[data-prefetch]',
+].join(', ');
+
+/**
+ * The maximum number of pages prefetched per page view
+ * @constant {number}
+ */
+const MAX_PREFETCHES = 20;
+
+/**
+ * The maximum number of prefetch requests sent at the same time, when Speculation Rules aren't supported
+ * @constant {number}
+ */
+const MAX_CONCURRENT_REQUESTS = 2;
+
+/**
+ * How long (in milliseconds) a link has to stay in the viewport before it's prefetched, so scrolling past a grid
+ * doesn't prefetch all of it
+ * @constant {number}
+ */
+const VIEWPORT_DELAY = 500;
+
+/**
+ * @typedef {'low' | 'high'} PrefetchPriority
+ */
+
+/**
+ * A class to prefetch the pages visitors are likely to open next: product and collection links, when they enter
+ * the viewport or are hovered.
+ *
+ * Uses Speculation Rules where supported, and `fetch` with priority hints otherwise. Nothing is prefetched when the
+ * visitor asked to save data, and the number of prefetched pages is capped per page view. Only loaded when the
+ * "Prefetch links" theme setting is enabled.
+ */
+class PrefetchManager {
+  /**
+   * The URLs already prefetched (or queued) during this page view
+   * @type {Set<string>}
+   */
+  #prefetched = new Set();
+
+  /**
+   * The URLs waiting for a request slot, by priority
+   * @type {{ high: string[], low: string[] }}
+   */
+  #queue = { high: [], low: [] };
+
+  /**
+   * The number of pending prefetch requests
+   * @type {number}
+   */
+  #activeRequests = 0;
+
+  /**
+   * The timers of the links in the viewport, waiting to be prefetched
+   * @type {Map<Element, ReturnType<typeof setTimeout>>}
+   */
+  #viewportTimers = new Map();
+
+  /**
+   * @type {IntersectionObserver}
+   */
+  #intersectionObserver = new IntersectionObserver(
+    (entries) => {
+      for (const { target, isIntersecting } of entries) {
+        clearTimeout(this.#viewportTimers.get(target));
+        this.#viewportTimers.delete(target);
+
+        if (!isIntersecting || !(target instanceof HTMLAnchorElement)) continue;
+
+        this.#viewportTimers.set(
+          target,
+          setTimeout(() => {
+            this.#viewportTimers.delete(target);
+            this.#intersectionObserver.unobserve(target);
+            this.prefetch(target.href, 'low');
+          }, VIEWPORT_DELAY)
+        );
+      }
+    },
+    { rootMargin: '0px 0px 200px 0px' }
+  );
+
+  /**
+   * Observes the links added to the page, e.g. by pagination or filtering
+   * @type {MutationObserver}
+   */
+  #mutationObserver = new MutationObserver((mutations) => {
+    for (const mutation of mutations) {
+      for (const node of mutation.addedNodes) {
+        if (node instanceof Element) this.#observeLinks(node);
+      }
+    }
+  });
+
+  constructor() {
+    requestIdleCallback(() => {
+      this.#observeLinks(document.body);
+      this.#mutationObserver.observe(document.body, { childList: true, subtree: true });
+    });
+
+    document.addEventListener('pointerover', this.#handleIntent, { passive: true });
+    document.addEventListener('focusin', this.#handleIntent);
+    // Client side navigations start a new page view
+    document.addEventListener(ThemeEvents.pageNavigation, () => this.#prefetched.clear());
+  }
+
+  /**
+   * Prefetches a page, unless it was already prefetched or the budget is spent
+   * @param {string} href - The URL of the page
+   * @param {PrefetchPriority} [priority] - The priority of the request
+   */
+  prefetch(href, priority = 'low') {
+    const url = new URL(href, window.location.href);
+    url.hash = '';
+
+    if (url.origin !== window.location.origin || url.pathname === window.location.pathname) return;
+    if (this.#prefetched.has(url.href) || this.#prefetched.size >= MAX_PREFETCHES) return;
+
+    this.#prefetched.add(url.href);
+
+    if (supportsSpeculationRules()) {
+      addSpeculationRule(url.href);
+      return;
+    }
+
+    this.#queue[priority].push(url.href);
+    this.#processQueue();
+  }
+
+  /**
+   * Sends the queued requests, up to the concurrency limit, high priority ones first
+   */
+  #processQueue() {
+    while (this.#activeRequests < MAX_CONCURRENT_REQUESTS) {
+      const priority = this.#queue.high.length ? 'high' : 'low';
+      const href = this.#queue[priority].shift();
+      if (!href) return;
+
+      /** @type {RequestInit & { priority: PrefetchPriority }} */
+      const options = { priority, credentials: 'same-origin', headers: { Purpose: 'prefetch' } };
+
+      this.#activeRequests++;
+
+      fetch(href, options)
+        .catch(() => {})
+        .finally(() => {
+          this.#activeRequests--;
+          this.#processQueue();
+        });
+    }
+  }
+
+  /**
+   * @param {Element} root - The element to look for links in
+   */
+  #observeLinks(root) {
+    const links = root.matches(LINK_SELECTOR) ? [root] : root.querySelectorAll(LINK_SELECTOR);
+
+    for (const link of links) this.#intersectionObserver.observe(link);
+  }
+
+  /**
+   * Prefetches hovered and focused links first, since they're about to be opened
+   * @param {Event} event - The pointerover or focusin event
+   */
+  #handleIntent = (event) => {
+    if (!(event.target instanceof Element)) return;
+
+    const link = event.target.closest(LINK_SELECTOR);
+    if (link instanceof HTMLAnchorElement && link.href) this.prefetch(link.href, 'high');
+  };
+}
+
+/**
+ * Whether the browser supports Speculation Rules
+ * @returns {boolean}
+ */
+function supportsSpeculationRules() {
+  return 'supports' in HTMLScriptElement && HTMLScriptElement.supports('speculationrules');
+}
+
+/**
+ * Adds a Speculation Rule prefetching a page right away, the manager deciding when pages are worth prefetching
+ * @param {string} href - The URL of the page
+ */
+function addSpeculationRule(href) {
+  const script = document.createElement('script');
+  script.type = 'speculationrules';
+  script.textContent = JSON.stringify({ prefetch: [{ source: 'list', urls: [href], eagerness: 'immediate' }] });
+
+  document.head.append(script);
+}
+
+/**
+ * Whether the visitor asked to save data or is on a slow connection
+ * @returns {boolean}
+ */
+function shouldSaveData() {
+  const { connection } = /** @type {Navigator & { connection?: { saveData?: boolean, effectiveType?: string } }} */ (
+    navigator
+  );
+
+  return !!connection && (connection.saveData === true || /2g/.test(connection.effectiveType ?? ''));
+}
+
+export const prefetchManager = Shopify.designMode || shouldSaveData() ? null : new PrefetchManager();
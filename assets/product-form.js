@@ -1,8 +1,11 @@
 import { Component } from '@theme/component';
-import { fetchConfig, onAnimationEnd, preloadImage } from '@theme/utilities';
-import { ThemeEvents, CartAddEvent, CartErrorEvent, VariantUpdateEvent } from '@theme/events';
+import { onAnimationEnd, preloadImage } from '@theme/utilities';
+import { ThemeErrorEvent, ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { t } from '@theme/translations';
+import { cart, CartError } from '@theme/cart';
 import { cartPerformance } from '@theme/performance';
 import { morph } from '@theme/morph';
+import { QuickAddDialog } from '@theme/quick-add';
 
 export const ADD_TO_CART_TEXT_ANIMATION_DURATION = 2000;
 
@@ -155,98 +158,92 @@ class ProductFormComponent extends Component {
     const formData = new FormData(form);
 
     const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    let cartItemComponentsSectionIds = [];
+    /** @type {string[]} */
+    const cartItemComponentsSectionIds = [];
     cartItemsComponents.forEach((item) => {
       if (item instanceof HTMLElement && item.dataset.sectionId) {
         cartItemComponentsSectionIds.push(item.dataset.sectionId);
       }
-      formData.append('sections', cartItemComponentsSectionIds.join(','));
     });
 
-    const fetchCfg = fetchConfig('javascript', { body: formData });
+    const id = formData.get('id');
 
-    fetch(Theme.routes.root + 'cart/add.js', {
-      ...fetchCfg,
-      headers: {
-        ...fetchCfg.headers,
-        Accept: 'text/html',
+    /** @type {import('./cart').CartRequestOptions} */
+    const options = {
+      sections: cartItemComponentsSectionIds,
+      target: this,
+      sourceId: id?.toString() ?? this.id,
+      data: {
+        source: 'product-form-component',
+        productId: this.dataset.productId,
       },
-    })
-      .then((response) => response.json())
-      .then((response) => {
-        if (response.status) {
-          window.dispatchEvent(new CartErrorEvent(this.id, response.message));
-
-          if (!addToCartTextError) return;
-          addToCartTextError.classList.remove('hidden');
+    };
 
-          // Reuse the text node if the user is spam-clicking
-          const textNode = addToCartTextError.childNodes[2];
-          if (textNode) {
-            textNode.textContent = response.message;
-          } else {
-            const newTextNode = document.createTextNode(response.message);
-            addToCartTextError.appendChild(newTextNode);
-          }
+    // The quick add dialog edits a cart line, which keeps its properties and selling plan
+    const dialog = this.closest('quick-add-dialog');
+    const cartLine = dialog instanceof QuickAddDialog ? dialog.cartLine : null;
+
+    const request = cartLine
+      ? cart.replaceLine(
+          cartLine.key,
+          {
+            id: Number(id),
+            quantity: Number(formData.get('quantity')) || cartLine.quantity,
+            properties: cartLine.properties,
+            ...(cartLine.sellingPlanId ? { selling_plan: cartLine.sellingPlanId } : {}),
+          },
+          options
+        )
+      : cart.add(formData, options);
+
+    request
+      .then(() => {
+        if (addToCartTextError) {
+          addToCartTextError.classList.add('hidden');
+          addToCartTextError.removeAttribute('aria-live');
+        }
 
-          // Create or get existing error live region for screen readers
-          this.#setLiveRegionText(response.message);
+        // Add aria-live region to inform screen readers that the item was added
+        if (this.refs.addToCartButtonContainer?.refs.addToCartButton) {
+          const addToCartButton = this.refs.addToCartButtonContainer.refs.addToCartButton;
+          const addedTextElement = addToCartButton.querySelector('.add-to-cart-text--added');
+          const addedText = addedTextElement?.textContent?.trim() || t('actions.added');
 
-          this.#timeout = setTimeout(() => {
-            if (!addToCartTextError) return;
-            addToCartTextError.classList.add('hidden');
+          this.#setLiveRegionText(addedText);
 
-            // Clear the announcement
+          setTimeout(() => {
             this.#clearLiveRegionText();
-          }, 10000);
-
-          // When we add more than the maximum amount of items to the cart, we need to dispatch a cart update event
-          // because our back-end still adds the max allowed amount to the cart.
-          this.dispatchEvent(
-            new CartAddEvent({}, this.id, {
-              didError: true,
-              source: 'product-form-component',
-              itemCount: Number(formData.get('quantity')),
-              productId: this.dataset.productId,
-            })
-          );
-
-          return;
-        } else {
-          const id = formData.get('id');
-
-          if (addToCartTextError) {
-            addToCartTextError.classList.add('hidden');
-            addToCartTextError.removeAttribute('aria-live');
-          }
-
-          if (!id) throw new Error('Form ID is required');
-
-          // Add aria-live region to inform screen readers that the item was added
-          if (this.refs.addToCartButtonContainer?.refs.addToCartButton) {
-            const addToCartButton = this.refs.addToCartButtonContainer.refs.addToCartButton;
-            const addedTextElement = addToCartButton.querySelector('.add-to-cart-text--added');
-            const addedText = addedTextElement?.textContent?.trim() || Theme.translations.added;
-
-            this.#setLiveRegionText(addedText);
-
-            setTimeout(() => {
-              this.#clearLiveRegionText();
-            }, 5000);
-          }
-
-          this.dispatchEvent(
-            new CartAddEvent({}, id.toString(), {
-              source: 'product-form-component',
-              itemCount: Number(formData.get('quantity')),
-              productId: this.dataset.productId,
-              sections: response.sections,
-            })
-          );
+          }, 5000);
         }
       })
       .catch((error) => {
-        console.error(error);
+        if (!(error instanceof CartError)) {
+          this.dispatchEvent(new ThemeErrorEvent(error, { action: 'addToCart' }));
+          return;
+        }
+
+        if (!addToCartTextError) return;
+        addToCartTextError.classList.remove('hidden');
+
+        // Reuse the text node if the user is spam-clicking
+        const textNode = addToCartTextError.childNodes[2];
+        if (textNode) {
+          textNode.textContent = error.message;
+        } else {
+          const newTextNode = document.createTextNode(error.message);
+          addToCartTextError.appendChild(newTextNode);
+        }
+
+        // Create or get existing error live region for screen readers
+        this.#setLiveRegionText(error.message);
+
+        this.#timeout = setTimeout(() => {
+          if (!addToCartTextError) return;
+          addToCartTextError.classList.add('hidden');
+
+          // Clear the announcement
+          this.#clearLiveRegionText();
+        }, 10000);
       })
       .finally(() => {
         // add more thing to do in here if needed.
@@ -1,3 +1,6 @@
+import { SectionRenderError, sectionRenderer, showRenderErrorRecovery } from '@theme/section-renderer';
+import { ThemeErrorEvent } from '@theme/events';
+
 class ProductRecommendations extends HTMLElement {
   /**
    * The observer for the product recommendations
@@ -35,12 +38,6 @@ class ProductRecommendations extends HTMLElement {
     }
   });
 
-  /**
-   * The cached recommendations
-   * @type {Record<string, string>}
-   */
-  #cachedRecommendations = {};
-
   /**
    * An abort controller for the active fetch (if there is one)
    * @type {AbortController | null}
@@ -59,8 +56,8 @@ class ProductRecommendations extends HTMLElement {
     const { productId, recommendationsPerformed, sectionId, intent } = this.dataset;
     const id = this.id;
 
-    if (!productId || !id) {
-      throw new Error('Product ID and an ID attribute are required');
+    if (!productId || !sectionId || !id) {
+      throw new Error('Product ID, section ID and an ID attribute are required');
     }
 
     // If the recommendations have already been loaded, accounts for the case where the Theme Editor
@@ -69,71 +66,74 @@ class ProductRecommendations extends HTMLElement {
       return;
     }
 
-    this.#fetchCachedRecommendations(productId, sectionId, intent)
+    this.#activeFetch?.abort();
+    const abortController = new AbortController();
+    this.#activeFetch = abortController;
+
+    this.#fetchRecommendations(productId, sectionId, intent)
       .then((result) => {
-        if (!result.success) {
-          // The Theme Editor will place a section element element in the DOM whose section_id is not available
-          // to the Section Renderer API. In this case, we can safely ignore the error.
-          if (!Shopify.designMode) {
-            this.#handleError(new Error(`Server returned ${result.status}`));
-          }
-          return;
-        }
+        if (abortController.signal.aborted) return;
 
         const html = document.createElement('div');
-        html.innerHTML = result.data || '';
+        html.innerHTML = result;
         const recommendations = html.querySelector(`product-recommendations[id="${id}"]`);
 
         if (recommendations?.innerHTML && recommendations.innerHTML.trim().length) {
           this.dataset.recommendationsPerformed = 'true';
           this.innerHTML = recommendations.innerHTML;
         } else {
-          this.#handleError(new Error('No recommendations available'));
+          this.#hide();
         }
       })
       .catch((e) => {
+        if (abortController.signal.aborted) return;
+
+        if (e instanceof SectionRenderError) {
+          // The Theme Editor will place a section element element in the DOM whose section_id is not available
+          // to the Section Renderer API. In this case, we can safely ignore the error.
+          if (Shopify.designMode) return;
+
+          if (e.transient) {
+            showRenderErrorRecovery(this, () => this.#loadRecommendations());
+            return;
+          }
+        }
+
         this.#handleError(e);
+      })
+      .finally(() => {
+        if (this.#activeFetch === abortController) this.#activeFetch = null;
       });
   }
 
   /**
-   * Fetches the recommendations and cached the result for future use
+   * Fetches the recommendations, cached by the section renderer for future use
    * @param {string} productId
-   * @param {string | undefined} sectionId
+   * @param {string} sectionId
    * @param {string | undefined} intent
-   * @returns {Promise<{ success: true, data: string } | { success: false, status: number }>}
+   * @returns {Promise<string>}
    */
-  async #fetchCachedRecommendations(productId, sectionId, intent) {
-    const url = `${this.dataset.url}&product_id=${productId}&section_id=${sectionId}&intent=${intent}`;
-
-    const cachedResponse = this.#cachedRecommendations[url];
-    if (cachedResponse) {
-      return { success: true, data: cachedResponse };
-    }
+  #fetchRecommendations(productId, sectionId, intent) {
+    const url = new URL(this.dataset.url ?? '', location.origin);
+    url.searchParams.set('product_id', productId);
+    if (intent) url.searchParams.set('intent', intent);
 
-    this.#activeFetch?.abort();
-    this.#activeFetch = new AbortController();
-
-    try {
-      const response = await fetch(url, { signal: this.#activeFetch.signal });
-      if (!response.ok) {
-        return { success: false, status: response.status };
-      }
-
-      const text = await response.text();
-      this.#cachedRecommendations[url] = text;
-      return { success: true, data: text };
-    } finally {
-      this.#activeFetch = null;
-    }
+    return sectionRenderer.getSectionHTML(sectionId, true, url);
   }
 
   /**
    * Handle errors in a consistent way
-   * @param {Error} error
+   * @param {unknown} error
    */
   #handleError(error) {
-    console.error('Product recommendations error:', error);
+    this.dispatchEvent(new ThemeErrorEvent(error, { action: 'loadRecommendations' }));
+    this.#hide();
+  }
+
+  /**
+   * Hides the block when there are no recommendations to show
+   */
+  #hide() {
     this.classList.add('hidden');
     this.dataset.error = 'Error loading product recommendations';
   }
@@ -1,8 +1,19 @@
 import { morph } from '@theme/morph';
 import { Component } from '@theme/component';
-import { CartUpdateEvent, ThemeEvents } from '@theme/events';
+import { CartUpdateEvent, ThemeErrorEvent, ThemeEvents } from '@theme/events';
 import { DialogComponent } from '@theme/dialog';
 import { mediaQueryLarge, isMobileBreakpoint } from '@theme/utilities';
+import { interactionPerformance } from '@theme/performance';
+import { t } from '@theme/translations';
+
+/**
+ * @typedef {Object} CartLine
+ * @property {string} key - The key of the line item
+ * @property {number} quantity - The quantity of the line item
+ * @property {Record<string, string>} properties - The line item properties
+ * @property {number} [sellingPlanId] - The selling plan ID
+ */
+
 export class QuickAddComponent extends Component {
   /** @type {AbortController | null} */
   #abortController = null;
@@ -13,9 +24,41 @@ export class QuickAddComponent extends Component {
     return this.#cachedProductHtml;
   }
 
+  /**
+   * The URL of the product page, from the product card link or else the `data-product-url` attribute
+   * @returns {string}
+   */
   get productPageUrl() {
-    return /** @type {HTMLAnchorElement} */ (this.closest('product-card')?.querySelector('a[ref="productCardLink"]'))
-      ?.href;
+    const productCardLink = this.closest('product-card')?.querySelector('a[ref="productCardLink"]');
+
+    if (productCardLink instanceof HTMLAnchorElement) return productCardLink.href;
+
+    return this.dataset.productUrl ? new URL(this.dataset.productUrl, location.origin).href : '';
+  }
+
+  /**
+   * The cart line edited by the quick add dialog, when the component is rendered in a cart row
+   * @returns {CartLine | null}
+   */
+  get cartLine() {
+    const row = this.closest('[data-cart-line-key]');
+    if (!(row instanceof HTMLElement) || !row.dataset.cartLineKey) return null;
+
+    /** @type {Record<string, string>} */
+    let properties = {};
+
+    try {
+      properties = JSON.parse(row.dataset.properties || '{}') ?? {};
+    } catch {
+      // Keep the line without properties rather than failing the edit
+    }
+
+    return {
+      key: row.dataset.cartLineKey,
+      quantity: Number(row.dataset.quantity) || 1,
+      properties,
+      sellingPlanId: Number(row.dataset.sellingPlanId) || undefined,
+    };
   }
 
   connectedCallback() {
@@ -38,7 +81,13 @@ export class QuickAddComponent extends Component {
     event.preventDefault();
 
     if (!this.#cachedProductHtml) {
-      await this.fetchProductPage(this.productPageUrl);
+      try {
+        await this.fetchProductPage(this.productPageUrl);
+      } catch (error) {
+        // Opening an empty dialog would be confusing, leave the product card as it is
+        this.dispatchEvent(new ThemeErrorEvent(error, { action: 'fetchProductPage' }));
+        return;
+      }
     }
 
     if (this.#cachedProductHtml) {
@@ -52,12 +101,14 @@ export class QuickAddComponent extends Component {
     }
 
     this.#openQuickAddModal();
+    interactionPerformance.measureFromEvent('quick-add-open', event);
   };
 
   #openQuickAddModal = () => {
     const dialogComponent = document.getElementById('quick-add-dialog');
     if (!(dialogComponent instanceof QuickAddDialog)) return;
 
+    dialogComponent.editCartLine(this.cartLine);
     dialogComponent.showDialog();
   };
 
@@ -149,14 +200,29 @@ if (!customElements.get('quick-add-component')) {
   customElements.define('quick-add-component', QuickAddComponent);
 }
 
-class QuickAddDialog extends DialogComponent {
+export class QuickAddDialog extends DialogComponent {
   #abortController = new AbortController();
 
+  /**
+   * The cart line replaced by the product form, null when the product form adds to the cart
+   * @type {CartLine | null}
+   */
+  #cartLine = null;
+
+  /**
+   * The cart line replaced by the product form, null when the product form adds to the cart
+   * @returns {CartLine | null}
+   */
+  get cartLine() {
+    return this.#cartLine;
+  }
+
   connectedCallback() {
     super.connectedCallback();
 
     this.addEventListener(ThemeEvents.cartUpdate, this.handleCartUpdate, { signal: this.#abortController.signal });
     this.addEventListener(ThemeEvents.variantUpdate, this.#updateProductTitleLink);
+    this.addEventListener(ThemeEvents.variantUpdate, this.#updateSubmitLabel, { signal: this.#abortController.signal });
   }
 
   disconnectedCallback() {
@@ -165,6 +231,21 @@ class QuickAddDialog extends DialogComponent {
     this.#abortController.abort();
   }
 
+  /**
+   * Makes the product form replace a cart line instead of adding to the cart, starting from its quantity
+   * @param {CartLine | null} cartLine - The cart line, or null to add to the cart
+   */
+  editCartLine(cartLine) {
+    this.#cartLine = cartLine;
+
+    if (!cartLine) return;
+
+    const quantityInput = this.querySelector('input[name="quantity"]');
+    if (quantityInput instanceof HTMLInputElement) quantityInput.value = String(cartLine.quantity);
+
+    this.#updateSubmitLabel();
+  }
+
   /**
    * Closes the dialog
    * @param {CartUpdateEvent} event - The cart update event
@@ -186,6 +267,16 @@ class QuickAddDialog extends DialogComponent {
     if (viewMoreDetailsLink) viewMoreDetailsLink.href = anchorElement.href;
     if (mobileProductTitle) mobileProductTitle.href = anchorElement.href;
   };
+
+  /**
+   * Labels the add to cart button as an update of the cart line, again after a variant update re-renders it
+   */
+  #updateSubmitLabel = () => {
+    if (!this.#cartLine) return;
+
+    const label = this.querySelector('[ref="addToCartButton"] .add-to-cart-text__content');
+    if (label) label.textContent = t('actions.update');
+  };
 }
 
 if (!customElements.get('quick-add-dialog')) {
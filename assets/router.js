@@ -0,0 +1,357 @@
+import { morph } from '@theme/morph';
+import { PageNavigationEvent } from '@theme/events';
+import { startViewTransition } from '@theme/utilities';
+import { sectionHistory } from '@theme/section-history';
+
+/**
+ * The key of the router state within `history.state`
+ * @constant {string}
+ */
+const STATE_KEY = 'themeRouter';
+
+/**
+ * The paths that always load with a full page navigation, because they're not rendered by the theme layout or
+ * must not be rendered from a stale document
+ * @constant {RegExp}
+ */
+const EXCLUDED_PATHS =
+  /^(?:\/[a-z]{2}(?:-[a-z]{2})?)?\/(?:cart|checkout|checkouts|account|apps|tools|services|admin|password)(?:\/|$)/i;
+
+/**
+ * The paths of files, like PDFs or feeds, which aren't pages
+ * @constant {RegExp}
+ */
+const FILE_PATH = /\.[a-z0-9]+$/i;
+
+/**
+ * The meta tags updated on navigation
+ * @constant {string}
+ */
+const META_SELECTOR = 'meta[name="description"], meta[property^="og:"], meta[name^="twitter:"], link[rel="canonical"]';
+
+/**
+ * The script types that run when inserted in the document
+ * @constant {string[]}
+ */
+const EXECUTABLE_SCRIPT_TYPES = ['', 'text/javascript', 'module'];
+
+/**
+ * @typedef {Object} RouterState
+ * @property {number} scrollY - The scroll position of the page when it was left
+ */
+
+/**
+ * @typedef {Object} NavigateOptions
+ * @property {'push' | 'replace' | 'none'} [history] - How to update the history, defaults to `push`
+ * @property {number} [scrollY] - The scroll position to restore, the page scrolls to the top (or hash) otherwise
+ */
+
+/**
+ * A class to navigate between pages without reloading the document.
+ *
+ * Same-origin link clicks fetch the target page, morph `<main>` and the header and footer sections that changed, and
+ * update the title, meta tags and history, within a view transition. Any failure falls back to a full page load.
+ * Each navigation publishes a `page_viewed` customer event, like a page load does.
+ *
+ * Add a `data-router-ignore` attribute to a link, or one of its ancestors, to always load it normally.
+ */
+class Router {
+  /**
+   * The controller of the pending navigation
+   * @type {AbortController | null}
+   */
+  #abortController = null;
+
+  /**
+   * The URL of the rendered page
+   * @type {URL}
+   */
+  #currentUrl = new URL(window.location.href);
+
+  /**
+   * The markup of the section group sections, as last rendered, to only morph the ones that changed
+   * @type {Map<string, string>}
+   */
+  #sectionMarkup = new Map();
+
+  constructor() {
+    this.#replaceState({ scrollY: window.scrollY });
+
+    document.addEventListener('click', this.#handleClick);
+    // Capture to handle navigations between pages before section history handles them as section updates
+    window.addEventListener('popstate', this.#handlePopState, { capture: true });
+    window.addEventListener('pagehide', () => this.#replaceState({ scrollY: window.scrollY }));
+  }
+
+  /**
+   * Navigates to a page
+   * @param {string | URL} url - The URL of the page
+   * @param {NavigateOptions} [options] - The navigation options
+   * @returns {Promise<void>}
+   */
+  async navigate(url, { history: historyMode = 'push', scrollY } = {}) {
+    const targetUrl = new URL(url, window.location.href);
+
+    this.#abortController?.abort();
+    const abortController = new AbortController();
+    this.#abortController = abortController;
+
+    try {
+      const response = await fetch(targetUrl, { signal: abortController.signal, headers: { Accept: 'text/html' } });
+      const finalUrl = new URL(response.url || targetUrl);
+
+      if (!response.ok || !response.headers.get('Content-Type')?.includes('text/html') || !this.canNavigate(finalUrl)) {
+        throw new Error(`Can't render ${finalUrl} (HTTP ${response.status})`);
+      }
+
+      const newDocument = new DOMParser().parseFromString(await response.text(), 'text/html');
+      const newMain = newDocument.querySelector('main');
+      const main = document.querySelector('main');
+
+      if (!newMain || !main) throw new Error(`Can't find the main content of ${finalUrl}`);
+      if (abortController.signal.aborted) return;
+
+      // Keep the hash, which isn't part of the response URL
+      finalUrl.hash = targetUrl.hash;
+
+      // The router restores the scroll position of the pages it rendered
+      history.scrollRestoration = 'manual';
+
+      if (historyMode === 'push') {
+        this.#replaceState({ scrollY: window.scrollY });
+        history.pushState({ [STATE_KEY]: { scrollY: 0 } }, '', finalUrl);
+      } else if (historyMode === 'replace') {
+        history.replaceState({ [STATE_KEY]: { scrollY: 0 } }, '', finalUrl);
+      }
+
+      const previousUrl = this.#currentUrl.href;
+      this.#currentUrl = finalUrl;
+
+      await startViewTransition(() => this.#render(newDocument, main, newMain), [getTransitionType()]);
+
+      clearTransitionTypes();
+      this.#restoreScroll(finalUrl, scrollY);
+
+      main.setAttribute('tabindex', '-1');
+      main.focus({ preventScroll: true });
+
+      document.dispatchEvent(new PageNavigationEvent(finalUrl.href, previousUrl));
+      this.#publishPageView(finalUrl, previousUrl);
+    } catch {
+      if (abortController.signal.aborted) return;
+
+      if (historyMode === 'none') {
+        window.location.reload();
+      } else {
+        window.location.assign(targetUrl);
+      }
+    } finally {
+      if (this.#abortController === abortController) this.#abortController = null;
+    }
+  }
+
+  /**
+   * Whether a URL can be rendered by the router
+   * @param {URL} url - The URL
+   * @returns {boolean}
+   */
+  canNavigate(url) {
+    return url.origin === window.location.origin && !EXCLUDED_PATHS.test(url.pathname) && !FILE_PATH.test(url.pathname);
+  }
+
+  /**
+   * Renders a new page in the document
+   * @param {Document} newDocument - The new page
+   * @param {HTMLElement} main - The main content
+   * @param {HTMLElement} newMain - The main content of the new page
+   */
+  #render(newDocument, main, newMain) {
+    const executedScripts = getScriptKeys(document);
+
+    document.title = newDocument.title;
+    document.documentElement.lang = newDocument.documentElement.lang;
+    this.#updateMetaTags(newDocument);
+
+    for (const attribute of ['data-template', 'data-page-transition-enabled', 'data-product-transition']) {
+      const value = newMain.getAttribute(attribute);
+      if (value === null) main.removeAttribute(attribute);
+      else main.setAttribute(attribute, value);
+    }
+
+    Theme.template.name = newMain.dataset.template ?? Theme.template.name;
+
+    morph(main, newMain);
+
+    /** @type {Element[]} */
+    const updatedContainers = [main];
+
+    for (const newSection of newDocument.querySelectorAll('[class*="shopify-section-group-"]')) {
+      const section = document.getElementById(newSection.id);
+      const markup = newSection.outerHTML;
+      if (!section || this.#sectionMarkup.get(newSection.id) === markup) continue;
+
+      this.#sectionMarkup.set(newSection.id, markup);
+      morph(section, newSection);
+      updatedContainers.push(section);
+    }
+
+    for (const container of updatedContainers) {
+      runNewScripts(container, executedScripts);
+    }
+  }
+
+  /**
+   * Publishes a page view to Shopify's customer events, which only see the full page loads otherwise
+   * @param {URL} url - The URL of the rendered page
+   * @param {string} previousUrl - The URL of the previous page
+   */
+  #publishPageView(url, previousUrl) {
+    Shopify.analytics?.publish('page_viewed', {
+      url: url.href,
+      path: url.pathname,
+      title: document.title,
+      referrer: previousUrl,
+      template: Theme.template.name,
+    });
+  }
+
+  /**
+   * Replaces the meta tags describing the page
+   * @param {Document} newDocument - The new page
+   */
+  #updateMetaTags(newDocument) {
+    for (const tag of document.head.querySelectorAll(META_SELECTOR)) tag.remove();
+
+    document.head.append(...Array.from(newDocument.head.querySelectorAll(META_SELECTOR), (tag) => tag.cloneNode()));
+  }
+
+  /**
+   * Scrolls to the hash target, the given position or the top of the page
+   * @param {URL} url - The URL of the page
+   * @param {number} [scrollY] - The scroll position to restore
+   */
+  #restoreScroll(url, scrollY) {
+    if (scrollY !== undefined) {
+      window.scrollTo({ top: scrollY, behavior: 'instant' });
+      return;
+    }
+
+    const target = url.hash ? document.getElementById(decodeURIComponent(url.hash.slice(1))) : null;
+
+    if (target) {
+      target.scrollIntoView({ behavior: 'instant' });
+    } else {
+      window.scrollTo({ top: 0, behavior: 'instant' });
+    }
+  }
+
+  /**
+   * Merges the router state into the current history entry
+   * @param {RouterState} routerState - The router state
+   */
+  #replaceState(routerState) {
+    const state = history.state && typeof history.state === 'object' ? history.state : {};
+
+    history.replaceState({ ...state, [STATE_KEY]: routerState }, '');
+  }
+
+  /**
+   * @param {MouseEvent} event - The click event
+   */
+  #handleClick = (event) => {
+    if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey) return;
+    if (event.altKey) return;
+
+    const link = event.composedPath().find((target) => target instanceof HTMLAnchorElement);
+    if (!(link instanceof HTMLAnchorElement) || !link.href || link.closest('[data-router-ignore]')) return;
+    if ((link.target && link.target !== '_self') || link.hasAttribute('download')) return;
+
+    const url = new URL(link.href);
+    if (!this.canNavigate(url)) return;
+
+    // Let the browser scroll to anchors within the page
+    if (url.hash && url.pathname === this.#currentUrl.pathname && url.search === this.#currentUrl.search) return;
+
+    event.preventDefault();
+    this.navigate(url);
+  };
+
+  /**
+   * Renders the page of the history entry the user navigated to, if it's not the rendered page
+   * @param {PopStateEvent} event - The popstate event
+   */
+  #handlePopState = (event) => {
+    const url = new URL(window.location.href);
+    const state = event.state?.[STATE_KEY];
+
+    if (url.pathname === this.#currentUrl.pathname) {
+      // The history entries of facets and pagination only update the section they belong to
+      if (sectionHistory.getState(event.state) || url.search === this.#currentUrl.search) return;
+    }
+
+    event.stopImmediatePropagation();
+    this.navigate(url, { history: 'none', scrollY: state?.scrollY ?? 0 });
+  };
+}
+
+/**
+ * Gets the view transition type of the navigation, set by the element that triggered it
+ * @returns {string} The view transition type
+ */
+function getTransitionType() {
+  // Remove the default transition types, so the elements of the new page don't share a transition name
+  const untriggered = document.querySelectorAll('[data-view-transition-type]:not([data-view-transition-triggered])');
+  untriggered.forEach((element) => element.removeAttribute('data-view-transition-type'));
+
+  const triggered = document.querySelector('[data-view-transition-triggered]');
+
+  return triggered?.getAttribute('data-view-transition-type') || 'page-navigation';
+}
+
+/**
+ * Removes the transition types once the transition finished
+ */
+function clearTransitionTypes() {
+  for (const element of document.querySelectorAll('[data-view-transition-type]')) {
+    element.removeAttribute('data-view-transition-type');
+    element.removeAttribute('data-view-transition-triggered');
+  }
+}
+
+/**
+ * Gets the keys (source URL or content) of the scripts of a document
+ * @param {Document} root - The document
+ * @returns {Set<string>} The script keys
+ */
+function getScriptKeys(root) {
+  return new Set(Array.from(root.querySelectorAll('script'), getScriptKey));
+}
+
+/**
+ * @param {HTMLScriptElement} script - The script
+ * @returns {string} The key of the script
+ */
+function getScriptKey(script) {
+  return script.src || script.textContent || '';
+}
+
+/**
+ * Runs the scripts of a container that weren't in the document, since inserted scripts parsed by `DOMParser` don't
+ * run. Module scripts that were already imported run only once anyway.
+ * @param {Element} container - The container
+ * @param {Set<string>} executedScripts - The keys of the scripts in the document before the render
+ */
+function runNewScripts(container, executedScripts) {
+  for (const script of container.querySelectorAll('script')) {
+    if (!EXECUTABLE_SCRIPT_TYPES.includes(script.type) || executedScripts.has(getScriptKey(script))) continue;
+
+    const newScript = document.createElement('script');
+
+    for (const { name, value } of script.attributes) newScript.setAttribute(name, value);
+    newScript.textContent = script.textContent;
+
+    script.replaceWith(newScript);
+  }
+}
+
+export const router = Shopify.designMode ? null : new Router();
@@ -0,0 +1,173 @@
+/**
+ * @typedef {Object} SavedItem
+ * @property {string} id - The unique ID of the saved item, derived from its variant, properties and selling plan
+ * @property {number} variantId - The variant ID
+ * @property {number} quantity - The quantity
+ * @property {Record<string, string>} properties - The line item properties
+ * @property {number} [sellingPlanId] - The selling plan ID
+ * @property {string} title - The title of the line item
+ * @property {string} url - The URL of the variant
+ * @property {string} [image] - The URL of the line item image
+ * @property {number} savedAt - When the item was saved, in milliseconds since the epoch
+ */
+
+/**
+ * @typedef {(items: SavedItem[]) => void} SavedItemsListener
+ */
+
+/**
+ * The key of the saved items in local storage
+ * @constant {string}
+ */
+const STORAGE_KEY = 'savedItems';
+
+/**
+ * The maximum number of saved items, the oldest ones being dropped first
+ * @constant {number}
+ */
+const MAX_ITEMS = 50;
+
+/**
+ * A client-side store that owns the items saved for later.
+ *
+ * The items persist in local storage, and stay in sync between the tabs of the visitor.
+ *
+ * @example
+ * import { savedItems } from '@theme/saved-items';
+ * const unsubscribe = savedItems.subscribe((items) => console.log(items.length));
+ */
+class SavedItemsStore {
+  /**
+   * The saved item listeners
+   * @type {Set<SavedItemsListener>}
+   */
+  #listeners = new Set();
+
+  /**
+   * The saved items, most recently saved first
+   * @type {SavedItem[]}
+   */
+  #items = readItems();
+
+  constructor() {
+    window.addEventListener('storage', (event) => {
+      if (event.key !== STORAGE_KEY && event.key !== null) return;
+
+      // The items were changed in another tab
+      this.#items = readItems();
+      this.#notify();
+    });
+  }
+
+  /**
+   * The saved items, most recently saved first
+   * @returns {SavedItem[]}
+   */
+  get items() {
+    return this.#items;
+  }
+
+  /**
+   * Subscribes to saved item changes
+   * @param {SavedItemsListener} listener - Called with the saved items every time they change
+   * @returns {() => void} A function that removes the listener
+   */
+  subscribe(listener) {
+    this.#listeners.add(listener);
+
+    return () => this.#listeners.delete(listener);
+  }
+
+  /**
+   * Saves an item, adding its quantity to the same variant saved with the same properties
+   * @param {Omit<SavedItem, 'id' | 'savedAt'>} item - The item
+   * @returns {SavedItem} The saved item
+   */
+  add(item) {
+    const id = getItemId(item);
+    const existingItem = this.items.find((savedItem) => savedItem.id === id);
+
+    /** @type {SavedItem} */
+    const savedItem = {
+      ...item,
+      id,
+      quantity: item.quantity + (existingItem?.quantity ?? 0),
+      savedAt: Date.now(),
+    };
+
+    this.#save([savedItem, ...this.items.filter((savedItem) => savedItem.id !== id)]);
+
+    return savedItem;
+  }
+
+  /**
+   * Removes a saved item
+   * @param {string} id - The ID of the saved item
+   */
+  remove(id) {
+    this.#save(this.items.filter((item) => item.id !== id));
+  }
+
+  /**
+   * @param {SavedItem[]} items - The saved items
+   */
+  #save(items) {
+    this.#items = items.slice(0, MAX_ITEMS);
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.#items));
+    } catch {
+      // The storage is full or disabled, the items are kept for this page only
+    }
+
+    this.#notify();
+  }
+
+  #notify() {
+    for (const listener of this.#listeners) listener(this.#items);
+  }
+}
+
+/**
+ * Reads the saved items from local storage
+ * @returns {SavedItem[]} The saved items
+ */
+function readItems() {
+  try {
+    const items = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+
+    return Array.isArray(items) ? items : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Gets the ID of an item, the same for a variant saved with the same properties and selling plan
+ * @param {Pick<SavedItem, 'variantId' | 'properties' | 'sellingPlanId'>} item - The item
+ * @returns {string} The ID, which can be used in `on:` attributes
+ */
+function getItemId({ variantId, properties, sellingPlanId }) {
+  const sortedProperties = Object.keys(properties)
+    .sort()
+    .map((name) => [name, properties[name]]);
+
+  return `${variantId}-${hash(JSON.stringify([sellingPlanId ?? null, sortedProperties]))}`;
+}
+
+/**
+ * Hashes a string (djb2)
+ * @param {string} value - The string
+ * @returns {string} The hash, in base 36
+ */
+function hash(value) {
+  let result = 5381;
+
+  for (let index = 0; index < value.length; index++) {
+    result = ((result << 5) + result + value.charCodeAt(index)) | 0;
+  }
+
+  return (result >>> 0).toString(36);
+}
+
+export const savedItems = new SavedItemsStore();
@@ -0,0 +1,117 @@
+import { SectionRenderError, sectionRenderer, showRenderErrorRecovery } from '@theme/section-renderer';
+import { startViewTransition } from '@theme/utilities';
+
+/**
+ * The key of the theme state within `history.state`
+ * @constant {string}
+ */
+const STATE_KEY = 'themeSection';
+
+/**
+ * @typedef {Object} SectionHistoryState
+ * @property {string} sectionId - The ID of the section rendered for the history entry
+ * @property {'initial' | 'facets' | 'pagination'} source - What created the history entry
+ */
+
+/**
+ * A class to restore sections when the user navigates through history entries created by the theme.
+ *
+ * Facets and paginated lists update the URL without reloading the page. Each of their history entries records
+ * the section it belongs to, so pressing back or forward re-renders that section for the restored URL. Paginated
+ * lists replace the current entry instead of pushing one per page, since re-rendering a single page would drop the
+ * pages appended before it.
+ */
+class SectionHistory {
+  constructor() {
+    window.addEventListener('popstate', this.#handlePopState);
+  }
+
+  /**
+   * Marks the current history entry so navigating back to it restores the section
+   * @param {string} sectionId - The section ID
+   */
+  track(sectionId) {
+    if (this.getState(history.state)) return;
+
+    this.#replaceState(history.state, { sectionId, source: 'initial' });
+  }
+
+  /**
+   * Pushes a history entry for a section
+   * @param {string} sectionId - The section ID
+   * @param {string | URL} url - The new URL
+   * @param {SectionHistoryState['source']} source - What created the history entry
+   */
+  push(sectionId, url, source) {
+    history.pushState({ [STATE_KEY]: { sectionId, source } }, '', url);
+  }
+
+  /**
+   * Updates the URL of the current history entry for a section, so it can't be restored without the content
+   * rendered before it, like the pages appended to a paginated list
+   * @param {string} sectionId - The section ID
+   * @param {string | URL} url - The new URL
+   * @param {SectionHistoryState['source']} source - What updated the history entry
+   */
+  replace(sectionId, url, source) {
+    this.#replaceState(history.state, { sectionId, source }, url);
+  }
+
+  /**
+   * Gets the theme state of a history entry
+   * @param {unknown} state - The `history.state` or `PopStateEvent.state`
+   * @returns {SectionHistoryState | null} The theme state, if the entry was created by the theme
+   */
+  getState(state) {
+    if (!state || typeof state !== 'object') return null;
+
+    return /** @type {Record<string, SectionHistoryState | undefined>} */ (state)[STATE_KEY] ?? null;
+  }
+
+  /**
+   * Merges the theme state into the current history entry
+   * @param {unknown} state - The existing state
+   * @param {SectionHistoryState} sectionState - The theme state
+   * @param {string | URL} [url] - The new URL, defaults to the current one
+   */
+  #replaceState(state, sectionState, url) {
+    const existingState = state && typeof state === 'object' ? state : {};
+
+    history.replaceState({ ...existingState, [STATE_KEY]: sectionState }, '', url);
+  }
+
+  /**
+   * Re-renders the section of the history entry the user navigated to
+   * @param {PopStateEvent} event - The popstate event
+   */
+  #handlePopState = (event) => {
+    const state = this.getState(event.state);
+    if (!state) return;
+
+    const { sectionId } = state;
+    if (!document.getElementById(`shopify-section-${sectionId}`)) return;
+
+    this.#renderSection(sectionId);
+  };
+
+  /**
+   * Re-renders a section for the current URL, offering to retry when it fails to render
+   * @param {string} sectionId - The section ID
+   */
+  #renderSection(sectionId) {
+    const renderSection = () =>
+      sectionRenderer.renderSection(sectionId).catch((error) => {
+        if (!(error instanceof SectionRenderError)) throw error;
+
+        const section = document.getElementById(`shopify-section-${sectionId}`);
+        const resultsList = document.querySelector(`results-list[section-id="${sectionId}"]`);
+        const container = resultsList ?? section;
+
+        if (container) showRenderErrorRecovery(container, () => this.#renderSection(sectionId), 'afterbegin');
+      });
+
+    startViewTransition(renderSection, ['product-grid']);
+  }
+}
+
+export const sectionHistory = new SectionHistory();
@@ -1,5 +1,223 @@
 import { morph } from '@theme/morph';
 import { startViewTransition } from '@theme/utilities';
+import { cart } from '@theme/cart';
+import { SectionRenderErrorEvent, ThemeErrorEvent, ThemeEvents } from '@theme/events';
+import { t } from '@theme/translations';
+
+/**
+ * The maximum number of sections kept in the cache
+ * @constant {number}
+ */
+const CACHE_MAX_ENTRIES = 50;
+
+/**
+ * The time (in milliseconds) a cached section stays fresh
+ * @constant {number}
+ */
+const CACHE_TTL = 5 * 60 * 1000;
+
+/**
+ * The tag of cached sections that render the cart, declared with a `data-cache-tags` attribute in their markup
+ * @constant {string}
+ */
+const CART_CACHE_TAG = 'cart';
+
+/**
+ * The maximum number of sections the Section Rendering API renders in a single request
+ * @constant {number}
+ */
+const MAX_SECTIONS_PER_REQUEST = 5;
+
+/**
+ * The maximum number of times a request failing with a transient error is retried
+ * @constant {number}
+ */
+const MAX_RETRIES = 2;
+
+/**
+ * The base delay (in milliseconds) between retries, doubled after each attempt
+ * @constant {number}
+ */
+const RETRY_DELAY = 500;
+
+/**
+ * The longest `Retry-After` delay (in milliseconds) worth waiting for before giving up
+ * @constant {number}
+ */
+const MAX_RETRY_AFTER = 10 * 1000;
+
+/**
+ * An error thrown when the Section Rendering API fails to render sections
+ */
+export class SectionRenderError extends Error {
+  /**
+   * @param {string} message - The error message
+   * @param {Object} details - The error details
+   * @param {string[]} details.sectionIds - The IDs of the sections that failed to render
+   * @param {string} details.url - The requested URL
+   * @param {number} [details.status] - The response status, `0` for network errors
+   */
+  constructor(message, { sectionIds, url, status = 0 }) {
+    super(message);
+    this.name = 'SectionRenderError';
+    this.sectionIds = sectionIds;
+    this.url = url;
+    this.status = status;
+  }
+
+  /**
+   * Whether the error is transient, so retrying the request later may succeed
+   * @returns {boolean}
+   */
+  get transient() {
+    return isTransientStatus(this.status);
+  }
+}
+
+/**
+ * @typedef {Object} SectionCacheEntry
+ * @property {string} html - The section HTML
+ * @property {Set<string>} tags - The tags used to invalidate the entry
+ * @property {number} expiresAt - The timestamp after which the entry is stale
+ */
+
+/**
+ * @typedef {Object} PendingBatch
+ * @property {Promise<Record<string, string | null>>} promise - The rendered section HTML by section ID
+ * @property {AbortController} abortController - Aborts the request
+ * @property {number} callers - The callers still waiting for the request, `Infinity` if one of them can't abort
+ */
+
+/**
+ * A least-recently-used cache of section HTML, keyed by section rendering URL.
+ *
+ * Entries expire after a TTL and can be invalidated by tag. Every entry is tagged with its section ID, plus
+ * the tags declared with `data-cache-tags` attributes in its markup.
+ */
+class SectionCache {
+  /**
+   * The entries, ordered from least to most recently used
+   * @type {Map<string, SectionCacheEntry>}
+   */
+  #entries = new Map();
+
+  /**
+   * @param {Object} [options] - The options
+   * @param {number} [options.maxEntries] - The maximum number of entries
+   * @param {number} [options.ttl] - The time (in milliseconds) an entry stays fresh
+   */
+  constructor({ maxEntries = CACHE_MAX_ENTRIES, ttl = CACHE_TTL } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttl = ttl;
+  }
+
+  /**
+   * The number of cached entries, including stale ones that haven't been evicted yet
+   * @returns {number}
+   */
+  get size() {
+    return this.#entries.size;
+  }
+
+  /**
+   * Gets a fresh entry and marks it as recently used
+   * @param {string} url - The section rendering URL
+   * @returns {string | undefined} The section HTML
+   */
+  get(url) {
+    const entry = this.#entries.get(url);
+    if (!entry) return;
+
+    this.#entries.delete(url);
+
+    if (entry.expiresAt <= Date.now()) return;
+
+    this.#entries.set(url, entry);
+    return entry.html;
+  }
+
+  /**
+   * Checks if a fresh entry exists, without marking it as recently used
+   * @param {string} url - The section rendering URL
+   * @returns {boolean}
+   */
+  has(url) {
+    const entry = this.#entries.get(url);
+
+    return !!entry && entry.expiresAt > Date.now();
+  }
+
+  /**
+   * Adds an entry, evicting the least recently used ones when the cache is full
+   * @param {string} url - The section rendering URL
+   * @param {string} html - The section HTML
+   * @param {string[]} [tags] - Additional tags for the entry
+   */
+  set(url, html, tags = []) {
+    const sectionId = new URL(url).searchParams.get('section_id');
+    const entryTags = new Set([...tags, ...getCacheTags(html)]);
+    if (sectionId) entryTags.add(sectionId);
+
+    this.#entries.delete(url);
+    this.#entries.set(url, { html, tags: entryTags, expiresAt: Date.now() + this.ttl });
+
+    for (const key of this.#entries.keys()) {
+      if (this.#entries.size <= this.maxEntries) break;
+      this.#entries.delete(key);
+    }
+  }
+
+  /**
+   * Removes every entry with the given tag
+   * @param {string} tag - The tag, e.g. `cart` or a section ID
+   * @returns {number} The number of removed entries
+   */
+  invalidate(tag) {
+    let count = 0;
+
+    for (const [url, entry] of this.#entries) {
+      if (!entry.tags.has(tag)) continue;
+
+      this.#entries.delete(url);
+      count++;
+    }
+
+    return count;
+  }
+
+  /**
+   * Removes every entry
+   */
+  clear() {
+    this.#entries.clear();
+  }
+
+  /**
+   * Lists the cached entries, for debugging
+   * @returns {{ url: string, tags: string[], size: number, expiresIn: number }[]} The entries, from least to most recently used
+   */
+  inspect() {
+    const now = Date.now();
+
+    return Array.from(this.#entries, ([url, entry]) => ({
+      url,
+      tags: Array.from(entry.tags),
+      size: entry.html.length,
+      expiresIn: Math.max(0, entry.expiresAt - now),
+    }));
+  }
+}
+
+/**
+ * Gets the cache tags declared in a section's markup
+ * @param {string} html - The section HTML
+ * @returns {string[]} The tags
+ */
+function getCacheTags(html) {
+  return Array.from(html.matchAll(/\sdata-cache-tags="([^"]*)"/g), ([, tags = '']) => tags.split(/\s+/))
+    .flat()
+    .filter(Boolean);
+}
 
 /**
  * A class to re-render sections using the Section Rendering API
@@ -7,9 +225,9 @@ import { startViewTransition } from '@theme/utilities';
 class SectionRenderer {
   /**
    * The cache of section HTML
-   * @type {Map<string, string>}
+   * @type {SectionCache}
    */
-  #cache = new Map();
+  #cache = new SectionCache();
 
   /**
    * The abort controllers by section ID
@@ -23,8 +241,31 @@ class SectionRenderer {
    */
   #pendingPromises = new Map();
 
+  /**
+   * The pending batched requests, by sections rendering URL
+   * @type {Map<string, PendingBatch>}
+   */
+  #pendingBatches = new Map();
+
   constructor() {
     window.addEventListener('load', this.#cachePageSections.bind(this));
+
+    // Sections rendering the cart are stale as soon as the cart changes
+    const invalidateCart = () => this.#cache.invalidate(CART_CACHE_TAG);
+    cart.subscribe(invalidateCart);
+    document.addEventListener(ThemeEvents.cartUpdate, invalidateCart);
+    document.addEventListener(ThemeEvents.discountUpdate, invalidateCart);
+  }
+
+  /**
+   * The cache of section HTML, exposed to inspect or clear it
+   * @example
+   * sectionRenderer.cache.inspect();
+   * sectionRenderer.cache.invalidate('cart');
+   * @returns {SectionCache}
+   */
+  get cache() {
+    return this.#cache;
   }
 
   /**
@@ -53,6 +294,48 @@ class SectionRenderer {
     return sectionHTML;
   }
 
+  /**
+   * Renders several sections, fetching them with as few requests as possible.
+   * Each section is morphed on its own, so rendering one of them again aborts only that section's morph.
+   * @param {string[]} sectionIds - The section IDs
+   * @param {URL} [url] - The URL to render the sections for
+   * @param {Object} [options] - The options
+   * @param {boolean} [options.cache] - Whether to use the cache
+   * @param {AbortSignal} [options.signal] - A signal to abort the request
+   * @returns {Promise<Record<string, string | null>>} The rendered section HTML by section ID
+   */
+  async renderSections(sectionIds, url = new URL(window.location.href), options) {
+    const { cache = !Shopify.designMode, signal } = options ?? {};
+
+    /** @type {Map<string, AbortController>} */
+    const abortControllers = new Map();
+
+    for (const sectionId of new Set(sectionIds.map(normalizeSectionId))) {
+      this.#abortPendingMorph(sectionId);
+
+      const abortController = new AbortController();
+      this.#abortControllersBySectionId.set(sectionId, abortController);
+      abortControllers.set(sectionId, abortController);
+    }
+
+    const sectionsHTML = await this.getSectionsHTML(Array.from(abortControllers.keys()), cache, url, signal);
+
+    for (const [sectionId, abortController] of abortControllers) {
+      if (abortController.signal.aborted || signal?.aborted) continue;
+
+      this.#abortControllersBySectionId.delete(sectionId);
+
+      const sectionHTML = sectionsHTML[sectionId];
+      if (!sectionHTML) continue;
+
+      morphSection(sectionId, sectionHTML).catch((error) => {
+        document.dispatchEvent(new ThemeErrorEvent(error, { sectionId, action: 'morphSection' }));
+      });
+    }
+
+    return sectionsHTML;
+  }
+
   /**
    * Aborts an existing morph for a section
    * @param {string} sectionId - The section ID
@@ -83,17 +366,118 @@ class SectionRenderer {
       if (cachedHTML) return cachedHTML;
     }
 
-    pendingPromise = fetch(sectionUrl).then((response) => {
-      return response.text();
-    });
+    pendingPromise = fetchSections(sectionUrl, [normalizeSectionId(sectionId)])
+      .then((response) => response.text())
+      .then((sectionHTML) => {
+        this.#cache.set(sectionUrl, sectionHTML);
+        return sectionHTML;
+      })
+      .finally(() => this.#pendingPromises.delete(sectionUrl));
 
     this.#pendingPromises.set(sectionUrl, pendingPromise);
 
-    const sectionHTML = await pendingPromise;
-    this.#pendingPromises.delete(sectionUrl);
+    return pendingPromise;
+  }
 
-    this.#cache.set(sectionUrl, sectionHTML);
-    return sectionHTML;
+  /**
+   * Gets the HTML for several sections, fetching the ones that aren't cached in batched requests
+   * @param {string[]} sectionIds - The section IDs
+   * @param {boolean} useCache - Whether to use the cache
+   * @param {URL} url - The URL to render the sections for
+   * @param {AbortSignal} [signal] - A signal to abort the request
+   * @returns {Promise<Record<string, string | null>>} The rendered section HTML by section ID, `null` if a section failed to render
+   */
+  async getSectionsHTML(sectionIds, useCache = true, url = new URL(window.location.href), signal) {
+    /** @type {Record<string, string | null>} */
+    const sectionsHTML = {};
+    const missingSectionIds = [];
+
+    for (const sectionId of sectionIds.map(normalizeSectionId).sort()) {
+      const cachedHTML = useCache ? this.#cache.get(buildSectionRenderingURL(sectionId, new URL(url))) : undefined;
+
+      if (cachedHTML) {
+        sectionsHTML[sectionId] = cachedHTML;
+      } else {
+        missingSectionIds.push(sectionId);
+      }
+    }
+
+    const batches = [];
+    for (let index = 0; index < missingSectionIds.length; index += MAX_SECTIONS_PER_REQUEST) {
+      batches.push(missingSectionIds.slice(index, index + MAX_SECTIONS_PER_REQUEST));
+    }
+
+    const responses = await Promise.all(batches.map((batch) => this.#fetchSections(batch, url, signal)));
+
+    return Object.assign(sectionsHTML, ...responses);
+  }
+
+  /**
+   * Fetches several sections in a single request, sharing the request with identical pending ones.
+   * The shared request is only aborted once every caller waiting for it has aborted.
+   * @param {string[]} sectionIds - The normalized section IDs
+   * @param {URL} url - The URL to render the sections for
+   * @param {AbortSignal} [signal] - A signal to abort the request
+   * @returns {Promise<Record<string, string | null>>} The rendered section HTML by section ID
+   */
+  async #fetchSections(sectionIds, url, signal) {
+    signal?.throwIfAborted();
+
+    const sectionsUrl = buildSectionsRenderingURL(sectionIds, new URL(url));
+
+    let batch = this.#pendingBatches.get(sectionsUrl);
+
+    if (!batch) {
+      const abortController = new AbortController();
+      const promise = fetchSections(sectionsUrl, sectionIds, abortController.signal)
+        .then((response) => response.json())
+        .then((/** @type {Record<string, string | null>} */ sectionsHTML) => {
+          for (const [sectionId, sectionHTML] of Object.entries(sectionsHTML)) {
+            if (sectionHTML) this.#cache.set(buildSectionRenderingURL(sectionId, new URL(url)), sectionHTML);
+          }
+
+          return sectionsHTML;
+        })
+        .finally(() => {
+          if (this.#pendingBatches.get(sectionsUrl) === newBatch) this.#pendingBatches.delete(sectionsUrl);
+        });
+
+      /** @type {PendingBatch} */
+      const newBatch = { promise, abortController, callers: 0 };
+      this.#pendingBatches.set(sectionsUrl, newBatch);
+      batch = newBatch;
+    }
+
+    if (!signal) {
+      batch.callers = Infinity;
+      return batch.promise;
+    }
+
+    batch.callers++;
+
+    const pendingBatch = batch;
+
+    /** @type {() => void} */
+    let onAbort = () => {};
+    const aborted = new Promise((_, reject) => {
+      onAbort = () => {
+        reject(signal.reason);
+
+        if (--pendingBatch.callers > 0) return;
+
+        // Nobody waits for the request anymore, identical requests made from now on start a new one
+        pendingBatch.abortController.abort(signal.reason);
+        if (this.#pendingBatches.get(sectionsUrl) === pendingBatch) this.#pendingBatches.delete(sectionsUrl);
+      };
+
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
+
+    try {
+      return await Promise.race([pendingBatch.promise, aborted]);
+    } finally {
+      signal.removeEventListener('abort', onAbort);
+    }
   }
 
   /**
@@ -102,7 +486,7 @@ class SectionRenderer {
   #cachePageSections() {
     for (const section of document.querySelectorAll('.shopify-section')) {
       const url = buildSectionRenderingURL(section.id);
-      if (this.#cache.get(url)) return;
+      if (this.#cache.has(url)) return;
       if (containsShadowRoot(section)) return;
 
       this.#cache.set(url, section.outerHTML);
@@ -112,6 +496,77 @@ class SectionRenderer {
 
 const SECTION_ID_PREFIX = 'shopify-section-';
 
+/**
+ * Fetches a section rendering URL, retrying transient failures.
+ * Dispatches a `section:render-error` event when the sections can't be rendered.
+ * @param {string} url - The section rendering URL
+ * @param {string[]} sectionIds - The IDs of the requested sections
+ * @param {AbortSignal} [signal] - A signal to abort the request
+ * @returns {Promise<Response>} The successful response
+ * @throws {SectionRenderError} When the request fails
+ */
+async function fetchSections(url, sectionIds, signal) {
+  for (let attempt = 0; ; attempt++) {
+    /** @type {SectionRenderError} */
+    let error;
+    let delay = RETRY_DELAY * 2 ** attempt;
+
+    try {
+      const response = await fetch(url, { signal });
+      if (response.ok) return response;
+
+      error = new SectionRenderError(`Failed to render sections ${sectionIds.join(', ')}: ${response.status}`, {
+        sectionIds,
+        url,
+        status: response.status,
+      });
+      delay = getRetryAfter(response) ?? delay;
+    } catch (fetchError) {
+      if (signal?.aborted) throw fetchError;
+
+      error = new SectionRenderError(`Failed to render sections ${sectionIds.join(', ')}: ${fetchError}`, {
+        sectionIds,
+        url,
+      });
+    }
+
+    if (!error.transient || attempt >= MAX_RETRIES || delay > MAX_RETRY_AFTER) {
+      document.dispatchEvent(new SectionRenderErrorEvent(error));
+      throw error;
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, delay));
+    signal?.throwIfAborted();
+  }
+}
+
+/**
+ * Gets the delay requested by the `Retry-After` header of a response
+ * @param {Response} response - The response
+ * @returns {number | null} The delay in milliseconds, if the header is set
+ */
+function getRetryAfter(response) {
+  const retryAfter = response.headers.get('Retry-After');
+  if (!retryAfter) return null;
+
+  const seconds = Number(retryAfter);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(retryAfter);
+  if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+
+  return null;
+}
+
+/**
+ * Checks if a response status is transient: rate limiting, server errors and network errors
+ * @param {number} status - The response status, `0` for network errors
+ * @returns {boolean}
+ */
+function isTransientStatus(status) {
+  return status === 0 || status === 429 || status >= 500;
+}
+
 /**
  * Builds a section rendering URL
  * @param {string} sectionId - The section ID
@@ -125,6 +580,20 @@ function buildSectionRenderingURL(sectionId, url = new URL(window.location.href)
   return url.toString();
 }
 
+/**
+ * Builds a sections rendering URL, to render several sections in a single request
+ * @param {string[]} sectionIds - The section IDs
+ * @param {URL} url - The URL to render the sections for
+ * @returns {string} The sections rendering URL
+ */
+function buildSectionsRenderingURL(sectionIds, url = new URL(window.location.href)) {
+  url.searchParams.delete('section_id');
+  url.searchParams.set('sections', sectionIds.map(normalizeSectionId).join(','));
+  url.searchParams.sort();
+
+  return url.toString();
+}
+
 /**
  * Builds a section selector
  * @param {string} sectionId - The section ID
@@ -178,4 +647,44 @@ export async function morphSection(sectionId, html) {
   morph(existingElement, newElement);
 }
 
+/**
+ * Shows an inline message with a retry button where content failed to render.
+ * The message is replaced when the content renders again.
+ *
+ * @param {Element} container - The element to show the message in
+ * @param {() => void} retry - Called when the retry button is clicked
+ * @param {'afterbegin' | 'beforeend'} [position] - Where to show the message within the container
+ * @returns {HTMLElement} The message element
+ */
+export function showRenderErrorRecovery(container, retry, position = 'beforeend') {
+  const existingMessage = position === 'afterbegin' ? container.firstElementChild : container.lastElementChild;
+  if (existingMessage?.classList.contains('section-render-error')) existingMessage.remove();
+
+  const message = document.createElement('div');
+  message.className = 'section-render-error';
+  message.setAttribute('role', 'alert');
+
+  const text = document.createElement('p');
+  text.className = 'section-render-error__message';
+  text.textContent = t('content.section_render_error');
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'button-secondary section-render-error__button';
+  button.textContent = t('actions.try_again');
+  button.addEventListener(
+    'click',
+    () => {
+      message.remove();
+      retry();
+    },
+    { once: true }
+  );
+
+  message.append(text, button);
+  container.insertAdjacentElement(position, message);
+
+  return message;
+}
+
 export const sectionRenderer = new SectionRenderer();
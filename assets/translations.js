@@ -0,0 +1,108 @@
+import { ThemeErrorEvent } from '@theme/events';
+
+/**
+ * @typedef {Record<string, string | number>} TranslationVariables
+ */
+
+/**
+ * The plural rules, by locale
+ * @type {Map<string, Intl.PluralRules>}
+ */
+const pluralRules = new Map();
+
+/**
+ * The keys already reported as missing from the bundle
+ * @type {Set<string>}
+ */
+const missingKeys = new Set();
+
+/**
+ * Translates a key of the `Theme.translations` bundle, like the `t` liquid filter.
+ *
+ * `{{ name }}` placeholders are replaced with the matching variables, numbers being formatted for the current locale.
+ * Pluralized translations pick their plural form from the `count` variable with `Intl.PluralRules`.
+ *
+ * The bundle is rendered by `snippets/scripts.liquid` from whole locale namespaces: a key missing from them is
+ * reported to the theme error collector.
+ *
+ * @example
+ * t('accessibility.filter_count', { count: 3 }); // '3 filters applied'
+ *
+ * @param {string} key - The translation key, e.g. `actions.added`
+ * @param {TranslationVariables} [variables] - The variables to interpolate
+ * @returns {string} The translation, or the key if it's missing from the bundle
+ */
+export function t(key, variables = {}) {
+  /** @type {unknown} */
+  let translation = Theme.translations;
+
+  for (const part of key.split('.')) {
+    translation = translation && typeof translation === 'object' ? /** @type {any} */ (translation)[part] : undefined;
+  }
+
+  if (translation && typeof translation === 'object') {
+    translation = selectPluralForm(/** @type {Record<string, string | null>} */ (translation), variables.count);
+  }
+
+  if (typeof translation !== 'string') {
+    reportMissingKey(key);
+    return key;
+  }
+
+  return translation.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => {
+    const value = variables[name];
+    if (value === undefined) return placeholder;
+
+    return typeof value === 'number' ? value.toLocaleString(Shopify.locale) : value;
+  });
+}
+
+/**
+ * Reports a key missing from the bundle to the theme error collector, once
+ * @param {string} key - The translation key
+ */
+function reportMissingKey(key) {
+  if (missingKeys.has(key)) return;
+
+  missingKeys.add(key);
+
+  const error = new Error(`Missing translation "${key}", add it to a namespace of \`Theme.translations\``);
+  document.dispatchEvent(new ThemeErrorEvent(error, { component: 'translations', action: 't' }));
+}
+
+/**
+ * Picks the plural form of a translation matching a count
+ * @param {Record<string, string | null>} forms - The plural forms, by plural category
+ * @param {string | number | undefined} count - The count
+ * @returns {string | undefined} The plural form
+ */
+function selectPluralForm(forms, count) {
+  const number = Number(count ?? 0);
+
+  // Like liquid, an explicit `zero` form is used for 0 even when the language has no zero plural category
+  if (number === 0 && forms.zero) return forms.zero;
+
+  return forms[getPluralRules(Shopify.locale).select(number)] ?? forms.other ?? undefined;
+}
+
+/**
+ * @param {string} locale - The locale
+ * @returns {Intl.PluralRules} The plural rules of the locale
+ */
+function getPluralRules(locale) {
+  let rules = pluralRules.get(locale);
+
+  if (!rules) {
+    try {
+      rules = new Intl.PluralRules(locale);
+    } catch {
+      rules = new Intl.PluralRules('en');
+    }
+
+    pluralRules.set(locale, rules);
+  }
+
+  return rules;
+}
+
+Theme.t = t;
@@ -205,22 +205,6 @@ export function normalizeString(str) {
     .toLowerCase();
 }
 
-/**
- * Format a money value
- * @param {string} value The value to format
- * @returns {string} The formatted value
- */
-export function formatMoney(value) {
-  let valueWithNoSpaces = value.replace(' ', '');
-  if (valueWithNoSpaces.indexOf(',') === -1) return valueWithNoSpaces;
-  if (valueWithNoSpaces.indexOf(',') < valueWithNoSpaces.indexOf('.')) return valueWithNoSpaces.replace(',', '');
-  if (valueWithNoSpaces.indexOf('.') < valueWithNoSpaces.indexOf(','))
-    return valueWithNoSpaces.replace('.', '').replace(',', '.');
-  if (valueWithNoSpaces.indexOf(',') !== -1) return valueWithNoSpaces.replace(',', '.');
-
-  return valueWithNoSpaces;
-}
-
 /**
  * Check if the document is ready and call the callback when it is.
  * @param {() => void} callback The function to call when the document is ready.
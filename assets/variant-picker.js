@@ -1,6 +1,7 @@
 import { Component } from '@theme/component';
-import { VariantSelectedEvent, VariantUpdateEvent } from '@theme/events';
+import { ThemeErrorEvent, VariantSelectedEvent, VariantUpdateEvent } from '@theme/events';
 import { morph } from '@theme/morph';
+import { interactionPerformance } from '@theme/performance';
 
 /**
  * A custom element that manages a variant picker.
@@ -143,6 +144,8 @@ export default class VariantPicker extends Component {
     this.#abortController?.abort();
     this.#abortController = new AbortController();
 
+    const startMarker = interactionPerformance.createStartingMarker('variant-update');
+
     fetch(requestUrl, { signal: this.#abortController.signal })
       .then((response) => response.text())
       .then((responseText) => {
@@ -170,12 +173,14 @@ export default class VariantPicker extends Component {
             );
           }
         }
+
+        interactionPerformance.measureFromMarker(startMarker);
       })
       .catch((error) => {
         if (error.name === 'AbortError') {
           console.log('Fetch aborted by user');
         } else {
-          console.error(error);
+          this.dispatchEvent(new ThemeErrorEvent(error, { action: 'fetchUpdatedSection' }));
         }
       });
   }